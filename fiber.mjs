@@ -9,45 +9,104 @@ export class Fiber extends p.Task {
     valid(iter, isIter)
     super()
     this.t = iter
+    this.r = false // "running"
   }
 
   done(err, val) {
+    let next
+    this.r = true
     try {
-      const next = err ? this.t.throw(err) : this.t.next(val)
-
-      err = undefined
-      val = maybeFromIter(next.value)
-
-      if (next.done) this.done = super.done
+      next = err ? this.t.throw(err) : this.t.next(val)
     }
     catch (err) {
-      this.d = false
-      this.done = super.done
-      return this.done(err)
+      this.r = false
+      if (this.isDone()) return undefined
+      return fiberFail(this, err)
     }
+    this.r = false
+
+    if (this.isDone()) return fiberDeferredReturn(this, next)
+    return fiberStep(this, next)
+  }
 
-    if (p.isTask(val)) return super.done(err, val)
-    return this.done(err, val)
+  /*
+  Deinits the task we're waiting on, then resumes the generator with `return()`,
+  running its `finally` blocks. Tasks yielded from `finally` are awaited by a
+  detached fiber, since this one is no longer usable. When deinited from inside
+  the running generator, `return()` waits until the generator yields.
+  */
+  deinit(reason) {
+    if (this.isDone()) return
+    super.deinit(reason)
+    if (!this.r) fiberReturn(this)
+  }
+}
+
+/*
+Errors from `finally` blocks are reported as unhandled rather than thrown, which
+would interrupt the deinit of other tasks, such as siblings in `all`.
+*/
+function fiberReturn(fib) {
+  try {
+    const next = fib.t.return()
+    if (!next.done) fiberStep(new Fiber(fib.t), next)
+  }
+  catch (err) {
+    p.async.unhandled(err, fib)
   }
 }
 
+// The yielded value is discarded. Tasks are deinited, like the one a fiber
+// waits on.
+function fiberDeferredReturn(fib, next) {
+  if (next.done) return
+  deinitTask(next.value)
+  fiberReturn(fib)
+}
+
+function fiberStep(fib, next) {
+  let val
+  try {
+    if (next.done) {
+      val = maybeFromIter(next.value)
+      fib.done = p.Task.prototype.done
+    }
+    else {
+      val = fromYield(next.value)
+    }
+  }
+  catch (err) {
+    return fiberFail(fib, err)
+  }
+
+  if (p.isTask(val)) return p.Task.prototype.done.call(fib, undefined, val)
+  return fib.done(undefined, val)
+}
+
+function fiberFail(fib, err) {
+  fib.d = false
+  fib.done = p.Task.prototype.done
+  return fib.done(err)
+}
+
 export function fiber(fun) {
   valid(fun, isGen)
   return fromGen.bind(fun)
 }
 
-export function fiberAsync(fun) {
+export function fiberAsync(fun, scheduler) {
   valid(fun, isGen)
-  return fromGenAsync.bind(fun)
+  return fromGenAsync.bind(fun, scheduler)
 }
 
 export function fromIter(iter) {
   return new Fiber(iter).done()
 }
 
-export function fromIterAsync(iter) {
+export function fromIterAsync(iter, scheduler) {
   const fib = new Fiber(iter)
-  p.async.push(fib)
+  if (!scheduler) scheduler = p.async
+  scheduler.push(fib)
   return fib
 }
 
@@ -55,10 +114,56 @@ function fromGen() {
   return fromIter(this(...arguments))
 }
 
-function fromGenAsync() {
-  return fromIterAsync(this(...arguments))
+function fromGenAsync(scheduler, ...args) {
+  return fromIterAsync(this(...args), scheduler)
+}
+
+/*
+Effect descriptors: `yield pf.race([...])` and similar. Unlike calling the
+Posterus functions directly, they also accept iterators, and don't start any
+work until yielded.
+*/
+export function all(vals) {return new Effect(isArr(vals) ? p.all : p.dictAll, vals)}
+export function allSettled(vals) {return new Effect(isArr(vals) ? p.allSettled : p.dictAllSettled, vals)}
+export function race(vals) {return new Effect(p.race, vals)}
+export function any(vals) {return new Effect(p.any, vals)}
+
+class Effect {
+  constructor(fun, vals) {
+    this.f = fun  // "function"
+    this.v = vals // "values"
+  }
+}
+
+/*
+Converts a yielded value. Iterators become fibers. Effects run. Arrays and
+dicts containing tasks act like `all` and `dictAll`; otherwise they're
+returned with their iterators converted.
+*/
+function fromYield(val) {
+  if (isIter(val)) return fromIter(val)
+  if (val instanceof Effect) return val.f(fromYieldColl(val.v))
+  if (!isArr(val) && !isDict(val)) return val
+
+  const vals = fromYieldColl(val)
+  if (!Object.values(vals).some(p.isTask)) return vals
+  return isArr(vals) ? p.all(vals) : p.dictAll(vals)
+}
+
+function fromYieldColl(vals) {
+  const out = isArr(vals) ? Array(vals.length) : {}
+  try {
+    for (const key of Object.keys(vals)) out[key] = fromYield(vals[key])
+  }
+  catch (err) {
+    for (const key of Object.keys(out)) deinitTask(out[key])
+    throw err
+  }
+  return out
 }
 
+function deinitTask(val) {if (p.isTask(val)) val.deinit()}
+
 function isIter(val) {
   return (
     isObj(val) &&
@@ -75,6 +180,13 @@ const GeneratorFunction = (function* () {}).constructor // eslint-disable-line f
 function isGen(val) {return isFun(val) && val.constructor === GeneratorFunction}
 function isFun(val) {return typeof val === 'function'}
 function isObj(val) {return val != null && typeof val === 'object'}
+function isArr(val) {return Array.isArray(val)}
+
+function isDict(val) {
+  if (!isObj(val)) return false
+  const proto = Object.getPrototypeOf(val)
+  return proto === null || proto === Object.prototype
+}
 
 function valid(val, test) {
   if (!test(val)) throw Error(`expected ${val} to satisfy test ${test.name}`)
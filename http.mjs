@@ -0,0 +1,144 @@
+// Optional cancelable HTTP client for Posterus, built on `fetch`, or on Node's
+// `http` and `https` where `fetch` is unavailable.
+
+import * as p from './posterus.mjs'
+
+/*
+Performs an HTTP request, returning a task that resolves with
+`{status, headers, body}`. Deiniting the task aborts the request, closing the
+connection. Takes the options of `fetch`, plus:
+
+  * `url`: required.
+  * `type`: how to read the body: "text" (default), "json", "arrayBuffer",
+    "blob", or "none" to skip reading.
+  * `throwHttpErrors`: fail with `HttpError` on non-2xx statuses.
+  * `fetch`: alternative implementation; defaults to the global `fetch`, or to
+    `nodeFetch` if there's none.
+*/
+export function request(opts) {
+  const {url, type, throwHttpErrors, fetch, ...init} = dict(opts)
+  valid(url, isUrl)
+  const bodyType = opt(type, isBodyType, 'text')
+  const fun = opt(fetch, isFun, globalThis.fetch || nodeFetch)
+  return p.fromAsync(fetchResponse, fun, String(url), init, bodyType, Boolean(throwHttpErrors))
+}
+
+async function fetchResponse(signal, fetch, url, init, type, strict) {
+  const res = await fetch(url, {...init, signal})
+
+  const out = {
+    status: res.status,
+    headers: Object.fromEntries(res.headers),
+    body: type === 'none' ? undefined : await res[type](),
+  }
+
+  if (strict && !res.ok) throw new HttpError(init.method || 'GET', url, out)
+  return out
+}
+
+/*
+Minimal `fetch` over Node's `http` and `https`, for Node versions without a
+global `fetch`. Supports the `method`, `headers` and `body` options, and reads
+the whole body before resolving. Aborting the signal destroys the socket.
+*/
+async function nodeFetch(url, {method, headers, body, signal}) {
+  const mod = await import(new URL(url).protocol === 'https:' ? 'https' : 'http')
+  return new Promise(bind(nodeRequest, mod, url, {method, headers}, body, signal))
+}
+
+function nodeRequest(mod, url, opts, body, signal, res, rej) {
+  if (signal.aborted) {
+    rej(abortError(signal))
+    return
+  }
+
+  const req = mod.request(url, opts, bind(onNodeResponse, res, rej))
+  const onAbort = bind(onNodeAbort, req, signal)
+  req.on('error', rej)
+  req.on('close', bind(unlistenAbort, signal, onAbort))
+  signal.addEventListener('abort', onAbort)
+  req.end(body)
+}
+
+function unlistenAbort(signal, fun) {signal.removeEventListener('abort', fun)}
+
+function onNodeResponse(res, rej, msg) {
+  const chunks = []
+  msg.on('data', chunks.push.bind(chunks))
+  msg.on('error', rej)
+  msg.on('end', bind(onNodeResponseEnd, res, msg, chunks))
+}
+
+function onNodeResponseEnd(res, msg, chunks) {res(new NodeResponse(msg, Buffer.concat(chunks)))}
+
+function onNodeAbort(req, signal) {req.destroy(abortError(signal))}
+
+function abortError(signal) {
+  return isNil(signal.reason) ? Error(`request aborted`) : signal.reason
+}
+
+// Subset of the `Response` interface used by `request`.
+class NodeResponse {
+  constructor(msg, buf) {
+    this.status = msg.statusCode
+    this.ok = this.status >= 200 && this.status < 300
+    this.headers = Object.entries(msg.headers).map(headerEntry)
+    this.b = buf // "body"
+  }
+
+  text() {return this.b.toString('utf8')}
+  json() {return JSON.parse(this.text())}
+
+  arrayBuffer() {
+    const {buffer, byteOffset, byteLength} = this.b
+    return buffer.slice(byteOffset, byteOffset + byteLength)
+  }
+
+  // The global `Blob` is missing before Node 18.
+  blob() {return import('buffer').then(bind(toBlob, this.b))}
+}
+
+function toBlob(buf, {Blob}) {return new Blob([buf])}
+
+// Node reports repeated headers, such as `set-cookie`, as arrays.
+function headerEntry([key, val]) {return [key, isArr(val) ? val.join(', ') : val]}
+
+// Failure of `request` with `throwHttpErrors` when the status is not 2xx.
+export class HttpError extends Error {
+  constructor(method, url, {status, headers, body}) {
+    super(`${method} ${url} failed with status ${status}`)
+    this.method = method
+    this.url = url
+    this.status = status
+    this.headers = headers
+    this.body = body
+  }
+
+  get name() {return this.constructor.name}
+}
+
+const BODY_TYPES = ['text', 'json', 'arrayBuffer', 'blob', 'none']
+
+function isStr(val)      {return typeof val === 'string'}
+function isFun(val)      {return typeof val === 'function'}
+function isObj(val)      {return val !== null && typeof val === 'object'}
+function isNil(val)      {return val == null}
+function isArr(val)      {return Array.isArray(val)}
+function isUrl(val)      {return isStr(val) || val instanceof URL}
+function isBodyType(val) {return BODY_TYPES.includes(val)}
+
+function isDict(val) {
+  if (!isObj(val)) return false
+  const proto = Object.getPrototypeOf(val)
+  return proto === null || proto === Object.prototype
+}
+
+function dict(val)           {return isNil(val) ? {} : only(val, isDict)}
+function only(val, test)     {valid(val, test); return val}
+function opt(val, test, def) {return isNil(val) ? def : only(val, test)}
+
+function valid(val, test) {
+  if (!test(val)) throw Error(`expected ${val} to satisfy test ${test.name}`)
+}
+
+function bind(fun, ...args) {return fun.bind(undefined, ...args)}
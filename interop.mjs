@@ -0,0 +1,180 @@
+// Optional interop with callback-based and event-based APIs for Posterus.
+
+import * as p from './posterus.mjs'
+
+/*
+Calls `executor(callback)`, where `callback` is a Node-style errback, and
+returns a task settled by that callback. Only the first call is used, and it's
+always delivered asynchronously. If the executor throws, the task fails with
+that error, like in `sync.mjs`. The executor's return value is treated as a
+cancel handle, used on deinit; see `cancelHandle`. The optional `opts.cancel`
+replaces the default with `cancel(handle, reason)`.
+*/
+export function fromNodeCallback(executor, opts) {
+  valid(executor, isFun)
+  const cancel = opt(dict(opts).cancel, isFun)
+
+  const task = new p.Task()
+  let handle
+  try {
+    handle = executor(bind(settleAsync, task))
+  }
+  catch (err) {
+    return p.async.fromErr(err)
+  }
+
+  if (cancel) task.onDeinit(bind(cancel, handle))
+  else if (!isNil(handle)) task.onDeinit(bind(cancelHandle, handle))
+  return task
+}
+
+// Converts a callback-last function to a task-returning function. See
+// `fromNodeCallback` for the options.
+export function taskify(fun, opts) {
+  valid(fun, isFun)
+  opt(dict(opts).cancel, isFun)
+  return bind(taskified, fun, opts)
+}
+
+function taskified(fun, opts, ...args) {
+  return fromNodeCallback(bind(callWithCallback, fun, args), opts)
+}
+
+function callWithCallback(fun, args, callback) {return fun(...args, callback)}
+
+function settleAsync(task, err, val) {
+  if (!task.isDone()) p.async.push(task, err, val)
+}
+
+/*
+Cancels what a callback-based function returned: calls functions, clears timer
+IDs, kills child processes, aborts controllers and requests, and destroys
+streams.
+*/
+function cancelHandle(handle, reason) {
+  if (isFun(handle)) handle()
+  else if (isNum(handle) || isTimer(handle)) clearTimeout(handle)
+  else if (!isObj(handle)) return
+  else if (isFun(handle.kill)) handle.kill()
+  else if (isFun(handle.abort)) handle.abort(reason)
+  else if (isFun(handle.cancel)) handle.cancel()
+  else if (isFun(handle.destroy)) handle.destroy()
+}
+
+/*
+Calls the Node-style errback when the task settles, with `null` as the error on
+success. If the task is deinited, the errback receives a `DeinitError`. Returns
+the same task.
+*/
+export function toCallback(task, fun) {
+  valid(task, p.isTask)
+  valid(fun, isFun)
+  task.map(bind(callbackSettle, fun))
+  task.onDeinit(bind(callbackDeinit, fun))
+  return task
+}
+
+function callbackSettle(fun, err, val) {
+  if (err) fun(err)
+  else fun(null, val)
+}
+
+function callbackDeinit(fun, reason) {fun(new p.DeinitError(reason))}
+
+/*
+Returns a task that resolves with the next `name` event from an `EventTarget`
+or a Node `EventEmitter`. For emitters, the value is the first argument. The
+optional `opts.filter` receives the event arguments and may skip the event by
+returning falsy. The optional `opts.errorEvent` makes the task fail with the
+first argument of that event. Listeners are removed on settle or deinit.
+*/
+export function fromEvent(target, name, opts) {
+  valid(target, isEventSource)
+  valid(name, isEventName)
+  const {errorEvent, filter} = dict(opts)
+  opt(errorEvent, isEventName)
+  opt(filter, isFun)
+
+  const task = new p.Task()
+  const onVal = bind(onEventVal, task, filter)
+  const onErr = bind(onEventErr, task, errorEvent)
+  const unlisten = bind(unlistenEvent, target, name, onVal, errorEvent, onErr)
+
+  listen(target, name, onVal)
+  if (!isNil(errorEvent)) listen(target, errorEvent, onErr)
+  task.finally(unlisten)
+  task.onDeinit(unlisten)
+  return task
+}
+
+function onEventVal(task, filter, val, ...args) {
+  try {
+    if (filter && !filter(val, ...args)) return
+  }
+  catch (err) {
+    settle(task, err)
+    return
+  }
+  settleVal(task, val)
+}
+
+function onEventErr(task, name, err) {
+  settle(task, err || Error(`unexpected event ${String(name)}`))
+}
+
+function unlistenEvent(target, name, onVal, errorEvent, onErr) {
+  unlisten(target, name, onVal)
+  if (!isNil(errorEvent)) unlisten(target, errorEvent, onErr)
+}
+
+function listen(target, name, fun) {
+  if (isEventTarget(target)) target.addEventListener(name, fun)
+  else target.on(name, fun)
+}
+
+function unlisten(target, name, fun) {
+  if (isEventTarget(target)) target.removeEventListener(name, fun)
+  else target.removeListener(name, fun)
+}
+
+// Errors from mappers are reported as unhandled, rather than thrown into the
+// code that emitted the event.
+function settle(task, err, val) {
+  try {
+    task.done(err, val)
+  }
+  catch (error) {
+    p.async.unhandled(error, task)
+  }
+}
+
+function settleVal(task, val) {settle(task, undefined, val)}
+
+function isNil(val)         {return val == null}
+function isNum(val)         {return typeof val === 'number'}
+function isStr(val)         {return typeof val === 'string'}
+function isFun(val)         {return typeof val === 'function'}
+function isObj(val)         {return val !== null && typeof val === 'object'}
+function isTimer(val)       {return isObj(val) && isFun(val.hasRef) && isFun(val.refresh)}
+function isEventName(val)   {return isStr(val) || typeof val === 'symbol'}
+function isEventTarget(val) {return isObj(val) && isFun(val.addEventListener) && isFun(val.removeEventListener)}
+function isEmitter(val)     {return isObj(val) && isFun(val.on) && isFun(val.removeListener)}
+function isEventSource(val) {return isEventTarget(val) || isEmitter(val)}
+
+function isDict(val) {
+  if (!isObj(val)) return false
+  const proto = Object.getPrototypeOf(val)
+  return proto === null || proto === Object.prototype
+}
+
+function dict(val)           {return isNil(val) ? {} : only(val, isDict)}
+function only(val, test)     {valid(val, test); return val}
+function opt(val, test, def) {return isNil(val) ? def : only(val, test)}
+
+function valid(val, test) {
+  if (!test(val)) throw Error(`expected ${show(val)} to satisfy test ${test.name}`)
+}
+
+function show(val) {return isStr(val) ? JSON.stringify(val) : String(val)}
+
+function bind(fun, ...args) {return fun.bind(undefined, ...args)}
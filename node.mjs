@@ -0,0 +1,126 @@
+// Optional Node-specific utilities for Posterus.
+
+import * as cp from 'child_process'
+import * as pi from './interop.mjs'
+
+/*
+Spawns a child process. Returns a task that resolves with
+`{code, signal, stdout, stderr}`, or fails with `ExitError` on a non-zero exit.
+Takes the options of `child_process.spawn`, plus:
+
+  * `encoding`: for `stdout` and `stderr`; default "utf8"; "buffer" for buffers.
+  * `killSignal`: sent on deinit; default "SIGTERM".
+  * `killTimeout`: milliseconds before escalating to "SIGKILL"; default 5000.
+*/
+export function spawnTask(cmd, args, opts) {
+  valid(cmd, isStr)
+  args = arr(args)
+  const {encoding, killSignal, killTimeout, ...rest} = dict(opts)
+  const enc = opt(encoding, isStr, 'utf8')
+  const sig = opt(killSignal, isSignal, 'SIGTERM')
+  const ms = opt(killTimeout, isTimeout, 5000)
+
+  const proc = cp.spawn(cmd, args, rest)
+  const stdout = collect(proc.stdout)
+  const stderr = collect(proc.stderr)
+
+  const task = pi.fromEvent(proc, 'close', {errorEvent: 'error'})
+    .mapVal(bind(onProcClose, proc, cmd, args, enc, stdout, stderr))
+  task.onDeinit(bind(killProc, proc, sig, ms))
+  return task
+}
+
+// Runs a shell command via `spawnTask`. Takes the same options.
+export function execTask(command, opts) {
+  return spawnTask(command, [], {shell: true, ...dict(opts)})
+}
+
+function collect(stream) {
+  const chunks = []
+  if (stream) stream.on('data', chunks.push.bind(chunks))
+  return chunks
+}
+
+function onProcClose(proc, cmd, args, enc, stdout, stderr) {
+  const res = {
+    code: proc.exitCode,
+    signal: proc.signalCode,
+    stdout: decode(stdout, enc),
+    stderr: decode(stderr, enc),
+  }
+  if (res.code !== 0) throw new ExitError(cmd, args, res)
+  return res
+}
+
+function decode(chunks, enc) {
+  const buf = Buffer.concat(chunks)
+  return enc === 'buffer' ? buf : buf.toString(enc)
+}
+
+/*
+Sends the signal, then "SIGKILL" if the process is still running after the
+timeout. The task no longer listens for errors, such as a failed kill, so they
+are ignored instead of crashing the process.
+*/
+function killProc(proc, sig, ms) {
+  proc.on('error', noop)
+  if (!isRunning(proc)) return
+  proc.kill(sig)
+  if (sig === 'SIGKILL' || !isFin(ms)) return
+
+  const timer = setTimeout(bind(killProcHard, proc), ms)
+  timer.unref()
+  proc.once('exit', bind(clearTimeout, timer))
+}
+
+function killProcHard(proc) {if (isRunning(proc)) proc.kill('SIGKILL')}
+
+function isRunning(proc) {return proc.exitCode === null && proc.signalCode === null}
+
+// Thrown by `spawnTask` and `execTask` when the process exits with a non-zero
+// code or is killed by a signal.
+export class ExitError extends Error {
+  constructor(cmd, args, {code, signal, stdout, stderr}) {
+    super(isNil(signal)
+      ? `command ${show(cmd)} exited with code ${code}`
+      : `command ${show(cmd)} was killed by ${signal}`)
+    this.cmd = cmd
+    this.args = args
+    this.code = code
+    this.signal = signal
+    this.stdout = stdout
+    this.stderr = stderr
+  }
+
+  get name() {return this.constructor.name}
+}
+
+function isNil(val)     {return val == null}
+function isStr(val)     {return typeof val === 'string'}
+function isNum(val)     {return typeof val === 'number'}
+function isObj(val)     {return val !== null && typeof val === 'object'}
+function isArr(val)     {return Array.isArray(val)}
+function isFin(val)     {return isNum(val) && Number.isFinite(val)}
+function isTimeout(val) {return isNum(val) && val >= 0}
+function isSignal(val)  {return isStr(val) || Number.isInteger(val)}
+
+function isDict(val) {
+  if (!isObj(val)) return false
+  const proto = Object.getPrototypeOf(val)
+  return proto === null || proto === Object.prototype
+}
+
+function arr(val)            {return isNil(val) ? [] : only(val, isArr)}
+function dict(val)           {return isNil(val) ? {} : only(val, isDict)}
+function only(val, test)     {valid(val, test); return val}
+function opt(val, test, def) {return isNil(val) ? def : only(val, test)}
+
+function valid(val, test) {
+  if (!test(val)) throw Error(`expected ${show(val)} to satisfy test ${test.name}`)
+}
+
+function show(val) {return isStr(val) ? JSON.stringify(val) : `${val}`}
+
+function noop() {}
+
+function bind(fun, ...args) {return fun.bind(undefined, ...args)}
@@ -111,7 +111,8 @@ export class Task {
     this.e = collPush(this.e, fun)
   }
 
-  deinit() {
+  // The optional reason is passed to every deiniter and inner task.
+  deinit(reason) {
     if (this.d) return
 
     this.d = true
@@ -127,10 +128,10 @@ export class Task {
         this.e = undefined
       }
       if (!deiniter) break
-      deiniter()
+      deiniter(reason)
     }
 
-    clearInner(this)
+    clearInner(this, reason)
   }
 
   toPromise() {
@@ -185,14 +186,14 @@ function collPush(items, item) {
   return items
 }
 
-function setInner(outer, innerNext) {
+function setInner(outer, innerNext, reason) {
   const inner = outer.i
   outer.i = innerNext
-  if (isTask(inner)) inner.deinit()
+  if (isTask(inner)) inner.deinit(reason)
 }
 
-function clearInner(outer) {
-  setInner(outer, undefined)
+function clearInner(outer, reason) {
+  setInner(outer, undefined, reason)
 }
 
 function linkInnerTask(outer, inner) {
@@ -204,7 +205,7 @@ function linkInnerTaskErr(outer, inner) {
 }
 
 function linkInnerPromise(task, promise) {
-  setInner(task, promise.then(task.done.bind(task, undefined), task.done.bind(task)))
+  setInner(task, promise.then(bind(settleVal, task), bind(settle, task)))
 }
 
 function transferTaskResult(task, err, val) {
@@ -240,20 +241,165 @@ function copyResult(out, err, val) {
   return val
 }
 
+/*
+Broadcast wrapper for a task. Unlike `branch`, stores the result, allowing to
+create consumer tasks via `.task()` at any point, before or after settlement.
+Consumers are reference-counted: when every pending consumer is deinited, the
+source task is deinited too. Consumers created after settlement are settled on
+the given scheduler, `async` by default.
+*/
+export class Shared {
+  constructor(task, scheduler) {
+    valid(task, isTask)
+    this.s = task                              // "source"
+    this.h = opt(scheduler, isScheduler, async) // "scheduler"
+    this.c = new Set()                         // "consumers"
+    this.r = undefined                         // "result"
+    this.x = false                             // "deinited"
+    task.map(bind(onSharedDone, this))
+    task.onDeinit(bind(onSharedDeinit, this))
+  }
+
+  // True if the source task has settled. Doesn't include deinit.
+  isDone() {return !!this.r}
+
+  task() {
+    if (this.x) throw Error(`can't consume: shared task is deinited`)
+
+    const out = new Task()
+    const result = this.r
+
+    if (result) {
+      this.h.push(out, result.err, result.val)
+    }
+    else {
+      this.c.add(out)
+      out.onDeinit(bind(onConsumerDeinit, this, out))
+    }
+    return out
+  }
+
+  // Deinits the source and all pending consumers.
+  deinit(reason) {
+    this.s.deinit(reason)
+    onSharedDeinit(this, reason)
+  }
+}
+
+function onSharedDone(shared, err, val) {
+  shared.r = err ? {err, val: undefined} : {err: undefined, val}
+  const consumers = shared.c
+  for (const consumer of consumers) {
+    consumers.delete(consumer)
+    settle(consumer, err, val)
+  }
+}
+
+function onSharedDeinit(shared, reason) {
+  shared.x = true
+  shared.r = undefined
+  const consumers = shared.c
+  for (const consumer of consumers) {
+    consumers.delete(consumer)
+    consumer.deinit(reason)
+  }
+}
+
+function onConsumerDeinit(shared, consumer, reason) {
+  const consumers = shared.c
+  if (consumers.delete(consumer) && !consumers.size) shared.s.deinit(reason)
+}
+
+/*
+Deduplicates calls of a task-returning function by key. Concurrent calls with
+the same key share one execution via `Shared`; each caller gets its own task.
+Options:
+
+  * `key`:       `ƒ(...args)`, computes the key; default: first argument
+  * `ttl`:       how long to keep successful results, in ms; default 0
+  * `scheduler`: provides the clock for `ttl` and settles cache hits;
+                 default `async`
+*/
+export class TaskCache {
+  constructor(fun, opts) {
+    valid(fun, isFun)
+    opts = dict(opts)
+    this.f = fun                                     // "function"
+    this.k = opt(opts.key, isFun, id)                // "key"
+    this.t = opt(opts.ttl, isNonNeg, 0)              // "ttl"
+    this.s = opt(opts.scheduler, isScheduler, async) // "scheduler"
+    this.m = new Map()                               // "entries"
+  }
+
+  get(...args) {
+    const key = this.k(...args)
+    let entry = this.m.get(key)
+
+    if (entry && entry.exp <= this.s.now()) {
+      this.m.delete(key)
+      entry = undefined
+    }
+
+    if (!entry) {
+      entry = {shared: undefined, exp: Infinity}
+      const task = toTask(this.f(...args))
+      task.map(bind(onCacheEntryDone, this, key, entry))
+      task.onDeinit(bind(cacheEvict, this, key, entry))
+      entry.shared = new Shared(task, this.s)
+      this.m.set(key, entry)
+    }
+
+    return entry.shared.task()
+  }
+
+  // Forgets the entry for this key. In-flight consumers are unaffected.
+  invalidate(key) {this.m.delete(key)}
+
+  clear() {this.m.clear()}
+}
+
+function onCacheEntryDone(cache, key, entry, err, val) {
+  if (err || !cache.t) cacheEvict(cache, key, entry)
+  else entry.exp = cache.s.now() + cache.t
+  maybeThrow(err)
+  return val
+}
+
+function cacheEvict(cache, key, entry) {
+  if (cache.m.get(key) === entry) cache.m.delete(key)
+}
+
+// Shortcut for a `TaskCache` without `ttl`. Returns the bound `.get` method.
+export function singleflight(key, fun) {
+  valid(key, isFun)
+  const cache = new TaskCache(fun, {key})
+  return cache.get.bind(cache)
+}
+
 export function all(vals) {
   vals = arr(vals)
-  return initAll(vals, Array(vals.length))
+  return initAll(vals, Array(vals.length), initElement)
 }
 
 export function dictAll(vals) {
-  return initAll(dict(vals), {})
+  return initAll(dict(vals), {}, initElement)
+}
+
+// Like `all`, but waits for every task and never fails. Outputs `{err, val}`.
+export function allSettled(vals) {
+  vals = arr(vals)
+  return initAll(vals, Array(vals.length), initSettledElement)
 }
 
-function initAll(vals, outputs) {
+export function dictAllSettled(vals) {
+  return initAll(dict(vals), {}, initSettledElement)
+}
+
+function initAll(vals, outputs, init) {
   const task = new Task()
   const counter = {n: 0}
 
-  each(vals, initElement, vals, outputs, task, counter)
+  each(vals, init, vals, outputs, task, counter)
   task.onDeinit(bind(deinitTasks, vals))
 
   if (!counter.n) async.push(task, undefined, outputs)
@@ -281,6 +427,59 @@ function onElementDone(key, vals, outputs, task, counter, err, val) {
   }
 }
 
+function initSettledElement(input, key, vals, outputs, task, counter) {
+  if (isTask(input)) {
+    counter.n++
+    input.map(bind(onSettledElementDone, key, outputs, task, counter))
+  }
+  else {
+    outputs[key] = {err: undefined, val: input}
+  }
+}
+
+function onSettledElementDone(key, outputs, task, counter, err, val) {
+  outputs[key] = err ? {err, val: undefined} : {err: undefined, val}
+  if (!--counter.n) task.done(undefined, outputs)
+}
+
+/*
+Similar to `Promise.any`. Settles with the first successful result, deiniting
+the other tasks. Fails with an `AggregateError` only if every task fails.
+*/
+export function any(vals) {
+  vals = arr(vals)
+
+  if (!vals.length) return async.fromErr(anyFail([]))
+
+  const nonTaskIndex = vals.findIndex(isNonTask)
+  if (nonTaskIndex >= 0) {
+    deinitTasks(vals)
+    return async.fromVal(vals[nonTaskIndex])
+  }
+
+  return initAll(vals, Array(vals.length), initAnyElement)
+}
+
+function initAnyElement(input, key, vals, errs, task, counter) {
+  counter.n++
+  input.map(bind(onAnyElementDone, key, vals, errs, task, counter))
+}
+
+function onAnyElementDone(key, vals, errs, task, counter, err, val) {
+  if (err) {
+    errs[key] = err
+    if (!--counter.n) task.done(anyFail(errs))
+  }
+  else {
+    task.done(undefined, val)
+    deinitTasks(vals)
+  }
+}
+
+function anyFail(errs) {
+  return new AggregateError(errs, `all tasks failed`)
+}
+
 export function race(vals) {
   vals = arr(vals)
 
@@ -304,13 +503,270 @@ function onRaceElementDone(task, vals, err, val) {
   deinitTasks(vals)
 }
 
-export function fromPromise(promise) {
+/*
+Structured concurrency: owns "child" tasks spawned during its lifetime.
+
+  * A failed child deinits its siblings. The scope fails with the first error
+    when the owner calls `.done()`, or immediately if already waiting.
+  * `scope.done(err, val)` marks the end of the owner's work. Unless failing,
+    the scope waits for the remaining children, then settles with `val`.
+  * Deiniting the scope deinits all children.
+
+Returns itself from `.done()` while waiting, which allows `yield scope.done()`
+in fibers.
+*/
+export class Scope extends Task {
+  constructor() {
+    super()
+    this.c = new Set() // "children"
+    this.f = undefined // "failure"
+    this.j = undefined // "join"
+    this.x = false     // "exited"
+  }
+
+  // Consumes the task's result, so returns nothing. Ignores non-tasks.
+  spawn(task) {
+    if (!isTask(task)) return
+    if (this.x || this.isDone()) throw Error(`can't spawn: scope is done`)
+    this.c.add(task)
+    task.map(bind(onScopeChildDone, this, task))
+  }
+
+  done(err, val) {
+    if (this.isDone()) return undefined
+    this.x = true
+    this.done = super.done
+
+    err = err || this.f
+    if (err) {
+      deinitScopeChildren(this)
+      return super.done(err)
+    }
+
+    if (!this.c.size && !isTask(val)) return super.done(undefined, val)
+
+    const join = this.j = new Task()
+    join.onDeinit(bind(deinitScopeChildren, this))
+    const out = all([val, join]).mapVal(head)
+    if (!this.c.size) join.done()
+    return super.done(undefined, out)
+  }
+
+  deinit(reason) {
+    if (this.isDone()) return
+    super.deinit(reason)
+    deinitScopeChildren(this, reason)
+  }
+}
+
+function onScopeChildDone(scope, child, err) {
+  scope.c.delete(child)
+
+  if (err) {
+    scope.f = scope.f || err
+    deinitScopeChildren(scope)
+  }
+
+  const join = scope.j
+  if (join && (err || !scope.c.size)) join.done(err)
+}
+
+function deinitScopeChildren(scope, reason) {
+  const children = scope.c
+  for (const child of children) {
+    children.delete(child)
+    child.deinit(reason)
+  }
+}
+
+export class TimeoutError extends Error {
+  get name() {return this.constructor.name}
+}
+
+// Shortcuts for the timer methods of the default scheduler. See `Scheduler`.
+export function delay(ms, val) {return async.delay(ms, val)}
+export function timeout(task, ms) {return async.timeout(task, ms)}
+export function deadline(task, date) {return async.deadline(task, date)}
+
+/*
+Calls the task-returning function, retrying on failure with exponential
+backoff. The function receives the attempt index, starting with 0. Options:
+
+  * `attempts`:    total number of calls; default 3
+  * `minDelay`:    delay before the first retry, in ms; default 100
+  * `maxDelay`:    upper bound on the delay; default `Infinity`
+  * `factor`:      delay multiplier per attempt; default 2
+  * `jitter`:      from 0 to 1, randomly subtracted fraction of the delay
+  * `shouldRetry`: `ƒ(err, attempt)`; return false to fail immediately
+  * `onRetry`:     `ƒ(err, attempt, delay)`; called before waiting
+  * `scheduler`:   provides the backoff timers; default `async`
+
+Deiniting the resulting task deinits the current attempt or the pending timer.
+*/
+export function retry(fun, opts) {
+  valid(fun, isFun)
+  return retryAttempt(fun, retryOpts(opts), 0)
+}
+
+function retryOpts(opts) {
+  opts = dict(opts)
+  return {
+    attempts: opt(opts.attempts, isNatPos, 3),
+    minDelay: opt(opts.minDelay, isTimeout, 100),
+    maxDelay: opt(opts.maxDelay, isNonNeg, Infinity),
+    factor: opt(opts.factor, isNonNeg, 2),
+    jitter: opt(opts.jitter, isFraction, 0),
+    shouldRetry: opt(opts.shouldRetry, isFun, undefined),
+    onRetry: opt(opts.onRetry, isFun, undefined),
+    scheduler: opt(opts.scheduler, isScheduler, async),
+  }
+}
+
+function retryAttempt(fun, opts, attempt) {
+  let task
+  try {
+    task = toTask(fun(attempt))
+  }
+  catch (err) {
+    task = opts.scheduler.fromErr(err || Error(`retry: attempt threw ${err}`))
+  }
+  return task.map(bind(onRetryAttemptDone, fun, opts, attempt))
+}
+
+function onRetryAttemptDone(fun, opts, attempt, err, val) {
+  if (!err) return val
+
+  if (attempt + 1 >= opts.attempts) throw err
+  if (opts.shouldRetry && !opts.shouldRetry(err, attempt)) throw err
+
+  const ms = retryDelay(opts, attempt)
+  if (opts.onRetry) opts.onRetry(err, attempt, ms)
+  return opts.scheduler.delay(ms).mapVal(bind(retryAttempt, fun, opts, attempt + 1))
+}
+
+function retryDelay({minDelay, maxDelay, factor, jitter}, attempt) {
+  const ms = Math.min(maxDelay, minDelay * factor ** attempt)
+  return ms - ms * jitter * Math.random()
+}
+
+/*
+The optional second argument is an object with a `signal` and optionally an
+`abort` method, such as an `AbortController`. Aborting the signal deinits the
+task, and deiniting the task calls `abort`.
+*/
+export function fromPromise(promise, ctrl) {
   valid(promise, isPromise)
   const out = new Task()
   linkInnerPromise(out, promise)
+  if (!isNil(ctrl)) linkCtrl(out, promise, ctrl)
   return out
 }
 
+function linkCtrl(task, promise, ctrl) {
+  valid(ctrl, isCtrl)
+  if (isFun(ctrl.abort)) task.onDeinit(ctrl.abort.bind(ctrl))
+  const unlink = linkSignal(task, ctrl.signal)
+  if (unlink) promise.then(unlink, unlink)
+}
+
+// Returns a pending task that is deinited when the signal is aborted.
+export function fromSignal(signal) {
+  const out = new Task()
+  linkSignal(out, signal)
+  return out
+}
+
+function linkSignal(task, signal) {
+  valid(signal, isSignal)
+
+  if (signal.aborted) {
+    task.deinit(signal.reason)
+    return undefined
+  }
+
+  const onAbort = bind(deinitFromSignal, task, signal)
+  const unlink = signal.removeEventListener.bind(signal, 'abort', onAbort)
+  signal.addEventListener('abort', onAbort, {once: true})
+  task.onDeinit(unlink)
+  return unlink
+}
+
+function deinitFromSignal(task, signal) {task.deinit(signal.reason)}
+
+// Returns an `AbortSignal` that is aborted when the task is deinited. The deinit
+// reason becomes the signal's `reason`.
+export function toSignal(task) {
+  valid(task, isTask)
+  const ctrl = new AbortController()
+  task.onDeinit(ctrl.abort.bind(ctrl))
+  return ctrl.signal
+}
+
+/*
+Runs `fun(signal, ...args)`, where `fun` is an async function or otherwise
+returns a promise, and converts the result to a task. Deiniting the task aborts
+the signal, passing along the deinit reason.
+*/
+export function fromAsync(fun, ...args) {
+  valid(fun, isFun)
+  const ctrl = new AbortController()
+  return fromPromise(fun(ctrl.signal, ...args), ctrl)
+}
+
+/*
+Opt-in support for `await`: makes the task "thenable". Returns the same task,
+which remains cancelable. The first `.then` converts the task to a promise,
+mapping it at that point, after any earlier mappers. Until then, the task
+behaves as usual, and deinit doesn't reject anything. The promise handles the
+task's error, unless mappers added later also receive it.
+*/
+export function awaitable(task) {
+  valid(task, isTask)
+  const awaiter = new Awaiter()
+  task.onDeinit(bind(onAwaiterDeinit, awaiter))
+  task.then = bind(awaiterThen, task, awaiter)
+  return task
+}
+
+class Awaiter {
+  constructor() {
+    this.p = undefined // "promise"
+    this.j = undefined // "reject"
+    this.e = undefined // "deinit error"
+  }
+}
+
+function awaiterThen(task, awaiter, onVal, onErr) {
+  if (!awaiter.p) awaiter.p = new Promise(bind(awaiterInit, task, awaiter))
+  return awaiter.p.then(onVal, onErr)
+}
+
+function awaiterInit(task, awaiter, res, rej) {
+  if (awaiter.e) {
+    rej(awaiter.e)
+    return
+  }
+  task.map(bind(onAwaiterDone, task, res, rej))
+  awaiter.j = rej
+}
+
+function onAwaiterDeinit(awaiter, reason) {
+  awaiter.e = new DeinitError(reason)
+  if (awaiter.j) awaiter.j(awaiter.e)
+}
+
+function onAwaiterDone(task, res, rej, err, val) {
+  promiseSettle(res, rej, err, val)
+  if (err && hasMappers(task)) throw err
+  return val
+}
+
+// True if more mappers follow the one currently running.
+function hasMappers(task) {
+  const {m: mappers} = task
+  return isSeq(mappers) ? mappers.length > 0 : Boolean(mappers)
+}
+
 // Should this be a method of `Scheduler`?
 export function toTask(val) {
   if (isTask(val)) return val
@@ -328,8 +784,18 @@ function promiseSettle(res, rej, err, val) {
   else res(val)
 }
 
-function promiseDeinit(rej) {
-  rej(Error(`deinit`))
+function promiseDeinit(rej, reason) {
+  rej(new DeinitError(reason))
+}
+
+// Used by `toPromise` to distinguish cancelation from other failures.
+export class DeinitError extends Error {
+  constructor(reason) {
+    super(isNil(reason) ? `deinit` : `deinit: ${String(reason)}`)
+    this.reason = reason
+  }
+
+  get name() {return this.constructor.name}
 }
 
 export class AsyncTask extends Task {
@@ -388,18 +854,26 @@ Allows to settle task instances asynchronously. Useful for "pre-done" tasks.
 See the `async` variable.
 
 Can be synchronously flushed on demand.
+
+Optionally takes a scheduling function `ƒ(fun)` that must call `fun` later, such
+as `queueMicrotask` or `requestAnimationFrame`. The default chooses the fastest
+available option.
 */
 export class Scheduler {
-  constructor() {
+  constructor(schedule) {
     const self = this
 
     self.p = new Que() // "pending"
     self.s = false     // "is scheduled"
 
-    const schedule = chooseAsync(function scheduledTick() {
+    function scheduledTick() {
       self.s = false
       self.tick()
-    })
+    }
+
+    schedule = isNil(schedule)
+      ? chooseAsync(scheduledTick)
+      : bind(only(schedule, isFun), scheduledTick)
 
     self.t = function scheduleTick() {
       if (!self.s) {
@@ -437,14 +911,181 @@ export class Scheduler {
       const task = pending.shift()
       const err = pending.shift()
       const val = pending.shift()
-      task.done(err, val)
+      schedulerSettle(this, task, err, val)
     }
   }
+
+  // Settles with the given value after the given delay. Deinit clears the timer.
+  delay(ms, val) {
+    valid(ms, isTimeout)
+    const task = new Task()
+    const timer = this.setTimer(bind(schedulerSettle, this, task, undefined, val), ms)
+    task.onDeinit(this.clearTimer.bind(this, timer))
+    return task
+  }
+
+  /*
+  Races the task against a timer. If the timer wins, the task is deinited and
+  the result is a `TimeoutError`. Deiniting the result deinits both.
+  */
+  timeout(task, ms) {
+    valid(task, isTask)
+    return race([task, this.delay(ms, ms).mapVal(timeoutFail)])
+  }
+
+  // Same as `.timeout()`, but with an absolute time: `Date` or timestamp.
+  deadline(task, date) {
+    valid(date, isTime)
+    return this.timeout(task, Math.max(0, date - this.now()))
+  }
+
+  // Time and timer primitives used by the methods above. `TestScheduler`
+  // overrides them with a virtual clock.
+  now() {return Date.now()}
+  setTimer(fun, ms) {return setTimeout(fun, ms)}
+  clearTimer(timer) {clearTimeout(timer)}
+
+  // Called with errors that escape from `task.done` during `.tick()`. May be
+  // overridden per instance. Defaults to the global handler; see `setUnhandled`.
+  unhandled(err, task) {onUnhandled(err, task)}
+}
+
+function schedulerSettle(scheduler, task, err, val) {
+  try {
+    task.done(err, val)
+  }
+  catch (error) {
+    scheduler.unhandled(error, task)
+  }
+}
+
+function timeoutFail(ms) {
+  throw new TimeoutError(`timed out after ${ms} ms`)
+}
+
+/*
+Scheduler for tests, with a virtual clock. Never flushes on its own: pending
+tasks and timers run only when calling `.tick()`, `.advanceBy()`,
+`.advanceTo()` or `.runAll()`. Pass it wherever Posterus accepts a scheduler,
+or use its timer methods, to test timeouts and retries without waiting.
+*/
+export class TestScheduler extends Scheduler {
+  constructor() {
+    super(noop)
+    this.n = 0  // "now"
+    this.q = [] // "timers", sorted by time
+  }
+
+  now() {return this.n}
+
+  setTimer(fun, ms) {
+    const timer = {at: this.n + ms, fun}
+    const timers = this.q
+    let index = timers.findIndex(bind(isTimerAfter, timer.at))
+    if (index < 0) index = timers.length
+    timers.splice(index, 0, timer)
+    return timer
+  }
+
+  clearTimer(timer) {
+    const index = this.q.indexOf(timer)
+    if (index >= 0) this.q.splice(index, 1)
+  }
+
+  // Moves the clock forward, running due timers in order, and flushing pending
+  // tasks after each.
+  advanceTo(time) {
+    valid(time, isFin)
+    if (time < this.n) throw Error(`can't advance to ${time}: clock is at ${this.n}`)
+
+    const timers = this.q
+    this.tick()
+    while (timers.length && timers[0].at <= time) {
+      const timer = timers.shift()
+      this.n = timer.at
+      timer.fun()
+      this.tick()
+    }
+    this.n = time
+  }
+
+  advanceBy(ms) {
+    valid(ms, isTimeout)
+    this.advanceTo(this.n + ms)
+  }
+
+  // Runs until there are no pending tasks or timers. Never returns if timers
+  // keep scheduling more timers.
+  runAll() {
+    const timers = this.q
+    this.tick()
+    while (timers.length) this.advanceTo(timers[0].at)
+  }
+
+  pendingCount() {return this.p.length / 3 + this.q.length}
+}
+
+function isTimerAfter(at, timer) {return timer.at > at}
+
+/*
+Global handler for errors that escape from `task.done` when it's called by
+Posterus itself: in scheduler ticks, timers, promise callbacks. Such errors have
+no caller to catch them, and throwing would interrupt unrelated work.
+*/
+let onUnhandled = reportUnhandled
+
+export function setUnhandled(fun) {
+  valid(fun, isFun)
+  onUnhandled = fun
+}
+
+// Default handler. Reports the error like an unhandled promise rejection.
+export function reportUnhandled(err) {
+  Promise.reject(err)
+}
+
+function settle(task, err, val) {
+  try {
+    task.done(err, val)
+  }
+  catch (error) {
+    onUnhandled(error, task)
+  }
 }
 
+function settleVal(task, val) {settle(task, undefined, val)}
+
 // Default scheduler. Useful for making mappable "pre-done" tasks.
 export const async = new Scheduler()
 
+// Ready-made schedulers for specific timing needs. They fall back on timers
+// where the underlying API is unavailable, such as `requestAnimationFrame` in
+// Node.
+export const microtask = new Scheduler(scheduleMicrotask)
+export const macrotask = new Scheduler(scheduleMacrotask)
+export const animationFrame = new Scheduler(scheduleAnimationFrame)
+export const idle = new Scheduler(scheduleIdle)
+
+function scheduleMicrotask(fun) {
+  if (typeof queueMicrotask === 'function') queueMicrotask(fun)
+  else Promise.resolve().then(fun)
+}
+
+function scheduleMacrotask(fun) {
+  if (typeof setImmediate === 'function') setImmediate(fun)
+  else setTimeout(fun)
+}
+
+function scheduleAnimationFrame(fun) {
+  if (typeof requestAnimationFrame === 'function') requestAnimationFrame(fun)
+  else setTimeout(fun, 16)
+}
+
+function scheduleIdle(fun) {
+  if (typeof requestIdleCallback === 'function') requestIdleCallback(fun)
+  else scheduleMacrotask(fun)
+}
+
 /* eslint-disable no-restricted-globals */
 function chooseAsync(fun) {
   if (typeof self === 'undefined' && typeof process === 'object' && process && process.nextTick) {
@@ -479,10 +1120,11 @@ function each(vals, fun, ...args) {
   }
 }
 
-function deinitTasks(vals) {each(vals, deinitTask)}
-function deinitTask(val) {if (isTask(val)) val.deinit()}
+function deinitTasks(vals, reason) {each(vals, deinitTask, reason)}
+function deinitTask(val, _key, reason) {if (isTask(val)) val.deinit(reason)}
 
 function isNil(val)         {return val == null}
+function isNum(val)         {return typeof val === 'number'}
 function isStr(val)         {return typeof val === 'string'}
 function isFun(val)         {return typeof val === 'function'}
 function isObj(val)         {return val !== null && typeof val === 'object'}
@@ -490,8 +1132,24 @@ function isArr(val)         {return isInst(val, Array)}
 function isSeq(val)         {return isInst(val, Que) || isArr(val)}
 function isPromise(val)     {return isObj(val) && isFun(val.then)}
 function isNonTask(val)     {return !isTask(val)}
+function isCtrl(val)        {return isObj(val) && isSignal(val.signal)}
 function isInst(val, Class) {return (isObj(val) || isFun(val)) && val instanceof Class}
 
+function isFin(val)         {return isNum(val) && Number.isFinite(val)}
+function isNonNeg(val)      {return isNum(val) && val >= 0}
+function isTimeout(val)     {return isFin(val) && val >= 0}
+function isNatPos(val)      {return Number.isInteger(val) && val > 0}
+function isFraction(val)    {return isFin(val) && val >= 0 && val <= 1}
+function isTime(val)        {return isInst(val, Date) ? isFin(val.valueOf()) : isFin(val)}
+
+function isScheduler(val) {return isInst(val, Scheduler)}
+
+function isSignal(val) {
+  return isObj(val) &&
+    isFun(val.addEventListener) &&
+    isFun(val.removeEventListener)
+}
+
 function isDict(val) {
   if (!isObj(val)) return false
   const proto = Object.getPrototypeOf(val)
@@ -501,6 +1159,7 @@ function isDict(val) {
 function arr(val)        {return isNil(val) ? [] : only(val, isArr)}
 function dict(val)       {return isNil(val) ? {} : only(val, isDict)}
 function only(val, test) {valid(val, test); return val}
+function opt(val, test, def) {return isNil(val) ? def : only(val, test)}
 
 function valid(val, test) {
   if (!test(val)) throw Error(`expected ${show(val)} to satisfy test ${show(test)}`)
@@ -512,6 +1171,10 @@ function show(val) {
   return `${val}`
 }
 
+function id(val)   {return val}
+function head(val) {return val[0]}
+function noop() {}
+
 function bind(fun, ...args) {return fun.bind(undefined, ...args)}
 
 function maybeThrow(err) {if (err) throw err}
@@ -0,0 +1,428 @@
+// Optional multi-value streams for Posterus.
+
+import * as p from './posterus.mjs'
+
+/*
+Pull-based stream over an iterator whose `.next()` returns an iterator result,
+or a promise or task resolving to one. Each `.next()` returns a pending task.
+At most one pull may be in flight. Deiniting the stream, or the task of the
+in-flight pull, deinits that task and calls `.return()` on the source.
+*/
+export class Stream {
+  constructor(iter) {
+    valid(iter, isIter)
+    this.i = iter      // "iterator"
+    this.t = undefined // "task"
+    this.d = false     // "done"
+  }
+
+  // True if the source is exhausted, failed, or deinited.
+  isDone() {return this.d}
+
+  next() {
+    if (this.t) throw Error(`can't pull: previous pull is pending`)
+    if (this.d) return p.async.fromVal(doneResult())
+
+    let task
+    try {
+      task = p.toTask(this.i.next())
+    }
+    catch (err) {
+      streamReturn(this)
+      return p.async.fromErr(err)
+    }
+
+    this.t = task
+    task.onDeinit(bind(onPullDeinit, this))
+    return task.map(bind(onPullDone, this))
+  }
+
+  deinit(reason) {
+    if (this.d && !this.t) return
+    const task = this.t
+    this.t = undefined
+    streamReturn(this, reason)
+    if (task) task.deinit(reason)
+  }
+
+  map(fun) {return new Stream(new MapIter(this, fun))}
+  filter(fun) {return new Stream(new FilterIter(this, fun))}
+  take(count) {return new Stream(new TakeIter(this, count))}
+  buffer(size) {return new Stream(new BufferIter(this, size))}
+
+  /*
+  Calls the function with each value. If the function returns a task, waits for
+  it before pulling the next value. The resulting task settles after the last
+  value, or fails on the first error. Deiniting it deinits the stream.
+  */
+  forEach(fun) {
+    const loop = new EachLoop(this, fun)
+    eachPull(loop)
+    return loop.o
+  }
+
+  [Symbol.asyncIterator]() {return new StreamAsyncIter(this)}
+}
+
+function onPullDone(stream, err, res) {
+  stream.t = undefined
+  if (err) {
+    streamReturn(stream)
+    throw err
+  }
+  if (res.done) stream.d = true
+  return res
+}
+
+function onPullDeinit(stream, reason) {stream.deinit(reason)}
+
+function streamReturn(stream, reason) {
+  const {d: done, i: iter} = stream
+  stream.d = true
+  if (done || !isFun(iter.return)) return
+
+  // Rejections of async generators are reported like any other failure.
+  const val = iter.return(reason)
+  if (isPromise(val)) p.fromPromise(val)
+}
+
+/*
+State of `.forEach`. Pulls in a loop rather than by chaining tasks, which keeps
+memory and deinit depth constant regardless of the number of values.
+*/
+class EachLoop {
+  constructor(stream, fun) {
+    valid(fun, isFun)
+    this.s = stream         // "stream"
+    this.f = fun            // "function"
+    this.t = undefined      // "task" returned by the function
+    this.o = new p.Task()   // "output"
+    this.o.onDeinit(bind(eachDeinit, this))
+  }
+}
+
+function eachPull(loop) {
+  let task
+  try {
+    task = loop.s.next()
+  }
+  catch (err) {
+    eachFail(loop, err)
+    return
+  }
+  task.map(bind(onEachResult, loop))
+}
+
+function onEachResult(loop, err, res) {
+  if (loop.o.isDone()) return
+  if (err) {
+    eachFail(loop, err)
+    return
+  }
+  if (res.done) {
+    loop.o.done()
+    return
+  }
+
+  let val
+  try {
+    val = loop.f(res.value)
+  }
+  catch (error) {
+    eachFail(loop, error)
+    return
+  }
+
+  if (!p.isTask(val)) {
+    eachPull(loop)
+    return
+  }
+  loop.t = val
+  val.map(bind(onEachTaskDone, loop))
+}
+
+function onEachTaskDone(loop, err) {
+  loop.t = undefined
+  if (loop.o.isDone()) return
+  if (err) eachFail(loop, err)
+  else eachPull(loop)
+}
+
+function eachFail(loop, err) {
+  loop.s.deinit()
+  loop.o.done(err)
+}
+
+function eachDeinit(loop, reason) {
+  const task = loop.t
+  loop.t = undefined
+  loop.s.deinit(reason)
+  if (task) task.deinit(reason)
+}
+
+// Adapter for `for await`. Breaking out of the loop deinits the stream.
+class StreamAsyncIter {
+  constructor(stream) {this.s = stream}
+  next() {return this.s.next().toPromise()}
+
+  return() {
+    this.s.deinit()
+    return Promise.resolve(doneResult())
+  }
+}
+
+class MapIter {
+  constructor(stream, fun) {
+    valid(fun, isFun)
+    this.s = stream // "source"
+    this.f = fun    // "function"
+  }
+
+  next() {return this.s.next().mapVal(bind(mapResult, this.f))}
+  return(reason) {this.s.deinit(reason)}
+}
+
+function mapResult(fun, res) {
+  if (res.done) return res
+  const val = fun(res.value)
+  if (p.isTask(val)) return val.mapVal(valResult)
+  return valResult(val)
+}
+
+class FilterIter {
+  constructor(stream, fun) {
+    valid(fun, isFun)
+    this.s = stream // "source"
+    this.f = fun    // "function"
+  }
+
+  next() {
+    const out = new p.Task()
+    filterPull(this, out)
+    return out
+  }
+
+  return(reason) {this.s.deinit(reason)}
+}
+
+// Skipped values are pulled in a loop; see `EachLoop`.
+function filterPull(iter, out) {
+  iter.s.next().map(bind(onFilterResult, iter, out))
+}
+
+function onFilterResult(iter, out, err, res) {
+  if (out.isDone()) return
+  if (err) {
+    out.done(err)
+    return
+  }
+
+  let keep
+  try {
+    keep = res.done || iter.f(res.value)
+  }
+  catch (error) {
+    out.done(error)
+    return
+  }
+
+  if (keep) out.done(undefined, res)
+  else filterPull(iter, out)
+}
+
+// Deinits the source as soon as the last value is taken.
+class TakeIter {
+  constructor(stream, count) {
+    valid(count, isNat)
+    this.s = stream // "source"
+    this.n = count  // "remaining"
+  }
+
+  next() {
+    if (!(this.n > 0)) {
+      this.s.deinit()
+      return doneResult()
+    }
+    this.n--
+    return this.s.next().mapVal(bind(takeResult, this))
+  }
+
+  return(reason) {this.s.deinit(reason)}
+}
+
+function takeResult(iter, res) {
+  if (!(iter.n > 0)) iter.s.deinit()
+  return res
+}
+
+// Groups values into arrays of the given size. The last array may be shorter.
+class BufferIter {
+  constructor(stream, size) {
+    valid(size, isNatPos)
+    this.s = stream // "source"
+    this.n = size   // "size"
+  }
+
+  next() {
+    const out = new p.Task()
+    bufferPull(this, out, [])
+    return out
+  }
+
+  return(reason) {this.s.deinit(reason)}
+}
+
+function bufferPull(iter, out, vals) {
+  iter.s.next().map(bind(onBufferResult, iter, out, vals))
+}
+
+function onBufferResult(iter, out, vals, err, res) {
+  if (out.isDone()) return
+  if (err) out.done(err)
+  else if (res.done) out.done(undefined, vals.length ? valResult(vals) : res)
+  else if (vals.push(res.value) >= iter.n) out.done(undefined, valResult(vals))
+  else bufferPull(iter, out, vals)
+}
+
+/*
+Converts an async iterable, sync iterable, or iterator to a stream. Deiniting
+the stream calls `.return()` on the iterator, which runs the `finally` blocks of
+async generators.
+*/
+export function fromAsyncIterable(val) {
+  if (isInst(val, Stream)) return val
+  if (isObj(val) && isFun(val[Symbol.asyncIterator])) return new Stream(val[Symbol.asyncIterator]())
+  if (isObj(val) && isFun(val[Symbol.iterator])) return new Stream(val[Symbol.iterator]())
+  return new Stream(val)
+}
+
+/*
+Stream of `name` events from an `EventTarget` or a Node `EventEmitter`.
+Events are buffered until pulled. For emitters, the value is the first
+argument. Options: `filter` skips events, `errorEvent` fails the stream, and
+`endEvent` finishes it. Listeners are removed when the stream ends or is
+deinited.
+*/
+export function fromEvents(target, name, opts) {
+  return new Stream(new EventIter(target, name, opts))
+}
+
+class EventIter {
+  constructor(target, name, opts) {
+    valid(target, isEventSource)
+    valid(name, isEventName)
+    const {filter, errorEvent, endEvent} = dict(opts)
+    if (!isNil(filter)) valid(filter, isFun)
+
+    this.s = target      // "source"
+    this.b = new p.Que() // "buffer"
+    this.t = undefined   // "task"
+    this.e = undefined   // "error"
+    this.d = false       // "done"
+    this.l = []          // "listeners"
+
+    eventIterListen(this, name, bind(onEventVal, this, filter))
+    if (!isNil(errorEvent)) eventIterListen(this, only(errorEvent, isEventName), bind(onEventErr, this, errorEvent))
+    if (!isNil(endEvent)) eventIterListen(this, only(endEvent, isEventName), bind(onEventEnd, this))
+  }
+
+  next() {
+    if (this.b.length) return valResult(this.b.shift())
+
+    const err = this.e
+    if (err) {
+      this.e = undefined
+      throw err
+    }
+
+    if (this.d) return doneResult()
+    return (this.t = new p.Task())
+  }
+
+  return() {
+    this.t = undefined
+    this.b = new p.Que()
+    eventIterEnd(this)
+  }
+}
+
+function eventIterListen(iter, name, fun) {
+  listen(iter.s, name, fun)
+  iter.l.push(name, fun)
+}
+
+function eventIterEnd(iter) {
+  iter.d = true
+  const {s: target, l: listeners} = iter
+  for (let i = 0; i < listeners.length; i += 2) unlisten(target, listeners[i], listeners[i + 1])
+  listeners.length = 0
+}
+
+// Results are delivered asynchronously, outside of the event dispatch.
+function eventIterSettle(iter, err, val) {
+  const task = iter.t
+  iter.t = undefined
+  p.async.push(task, err, val)
+}
+
+function onEventVal(iter, filter, val, ...args) {
+  try {
+    if (filter && !filter(val, ...args)) return
+  }
+  catch (err) {
+    onEventErr(iter, undefined, err)
+    return
+  }
+
+  if (iter.t) eventIterSettle(iter, undefined, valResult(val))
+  else iter.b.push(val)
+}
+
+function onEventErr(iter, name, err) {
+  err = err || Error(`unexpected event ${String(name)}`)
+  eventIterEnd(iter)
+  if (iter.t) eventIterSettle(iter, err)
+  else iter.e = err
+}
+
+function onEventEnd(iter) {
+  eventIterEnd(iter)
+  if (iter.t) eventIterSettle(iter, undefined, doneResult())
+}
+
+function listen(target, name, fun) {
+  if (isEventTarget(target)) target.addEventListener(name, fun)
+  else target.on(name, fun)
+}
+
+function unlisten(target, name, fun) {
+  if (isEventTarget(target)) target.removeEventListener(name, fun)
+  else target.removeListener(name, fun)
+}
+
+function valResult(value) {return {done: false, value}}
+function doneResult() {return {done: true, value: undefined}}
+
+function isFun(val)         {return typeof val === 'function'}
+function isObj(val)         {return val !== null && typeof val === 'object'}
+function isPromise(val)     {return isObj(val) && isFun(val.then)}
+function isIter(val)        {return isObj(val) && isFun(val.next)}
+function isInst(val, Class) {return isObj(val) && val instanceof Class}
+function isNil(val)         {return val == null}
+function isStr(val)         {return typeof val === 'string'}
+function isDict(val)        {return isObj(val) && Object.getPrototypeOf(val) === Object.prototype}
+function isEventName(val)   {return isStr(val) || typeof val === 'symbol'}
+function isEventTarget(val) {return isObj(val) && isFun(val.addEventListener) && isFun(val.removeEventListener)}
+function isEmitter(val)     {return isObj(val) && isFun(val.on) && isFun(val.removeListener)}
+function isEventSource(val) {return isEventTarget(val) || isEmitter(val)}
+function isNat(val)         {return Number.isInteger(val) && val >= 0}
+function isNatPos(val)      {return Number.isInteger(val) && val > 0}
+
+function valid(val, test) {
+  if (!test(val)) throw Error(`expected ${val} to satisfy test ${test.name}`)
+}
+
+function dict(val)       {return isNil(val) ? {} : only(val, isDict)}
+function only(val, test) {valid(val, test); return val}
+
+function bind(fun, ...args) {return fun.bind(undefined, ...args)}
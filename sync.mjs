@@ -0,0 +1,649 @@
+// Optional synchronization primitives for Posterus.
+
+import * as p from './posterus.mjs'
+
+/*
+Runs task-returning functions with at most N in flight. Each `.run()` returns a
+task that settles with the function's eventual result. Deiniting that task
+either removes the job from the queue or deinits the running task.
+Deiniting the pool deinits every queued and running job.
+*/
+export class Pool {
+  constructor(limit) {
+    valid(limit, isNatPos)
+    this.n = limit     // "limit"
+    this.r = new Set() // "running"
+    this.q = new Map() // "queued", task → [fun, args]
+    this.d = false     // "deinited"
+  }
+
+  run(fun, ...args) {
+    valid(fun, isFun)
+    if (this.d) throw Error(`can't run: pool is deinited`)
+
+    const task = lockWait(this.q, [fun, args])
+    poolNext(this)
+    return task
+  }
+
+  // Number of queued jobs, not counting running ones.
+  pendingCount() {return this.q.size}
+
+  deinit(reason) {
+    this.d = true
+
+    const tasks = [...this.q.keys()]
+    this.q.clear()
+    for (const task of tasks) task.deinit(reason)
+
+    for (const task of [...this.r]) task.deinit(reason)
+  }
+}
+
+function poolNext(pool) {
+  const {q: que, r: running} = pool
+
+  while (running.size < pool.n && que.size) {
+    const task = first(que)
+    const [fun, args] = que.get(task)
+    que.delete(task)
+    poolStart(pool, task, fun, args)
+  }
+}
+
+function poolStart(pool, task, fun, args) {
+  pool.r.add(task)
+
+  const inner = callTask(fun, args)
+  const release = bind(poolRelease, pool, task)
+  inner.finally(release)
+  inner.onDeinit(release)
+  task.done(undefined, inner)
+}
+
+function poolRelease(pool, task) {
+  if (pool.r.delete(task)) poolNext(pool)
+}
+
+// Similar to `p.all(list.map(fun))`, but with at most N calls in flight.
+export function mapLimit(vals, limit, fun) {
+  valid(vals, isArr)
+  valid(fun, isFun)
+  const pool = new Pool(limit)
+  return p.all(vals.map(bind(poolRunAt, pool, fun)))
+}
+
+function poolRunAt(pool, fun, val, index) {
+  return pool.run(fun, val, index)
+}
+
+/*
+CSP-style channel. `size` is the buffer capacity: 0 (default) for unbuffered,
+where every put waits for a take, or `Infinity` for unbounded. `.put()` and
+`.take()` return tasks, which may be yielded from fibers. Deiniting a waiting
+task cancels the operation, removing it from the queue.
+*/
+export class Channel {
+  constructor(size) {
+    size = isNil(size) ? 0 : size
+    valid(size, isCapacity)
+    this.n = size        // "capacity"
+    this.b = new p.Que() // "buffer"
+    this.p = new Map()   // "putters"
+    this.t = new Set()   // "takers"
+    this.c = false       // "closed"
+  }
+
+  isClosed() {return this.c}
+
+  // Resolves with `true` once the value is taken or buffered, or `false` if the
+  // channel is closed.
+  put(val) {
+    valid(val, isDef)
+    const ok = chanTryPut(this, val)
+    if (ok !== NONE) return p.async.fromVal(ok)
+
+    const task = new p.Task()
+    this.p.set(task, val)
+    task.onDeinit(bind(removeWaiter, this.p, task))
+    return task
+  }
+
+  // Resolves with the next value, or `undefined` if the channel is closed and
+  // drained.
+  take() {
+    const val = chanTryTake(this)
+    if (val !== NONE) return p.async.fromVal(val)
+
+    const task = new p.Task()
+    this.t.add(task)
+    task.onDeinit(bind(removeWaiter, this.t, task))
+    return task
+  }
+
+  // Pending takers receive `undefined`. Pending and buffered puts remain
+  // available to takers.
+  close() {
+    if (this.c) return
+    this.c = true
+    const takers = [...this.t]
+    this.t.clear()
+    for (const task of takers) task.done()
+  }
+}
+
+const NONE = Symbol('none')
+
+function chanTryPut(chan, val) {
+  if (chan.c) return false
+
+  const task = first(chan.t)
+  if (task) {
+    chan.t.delete(task)
+    task.done(undefined, val)
+    return true
+  }
+
+  if (chan.b.length < chan.n) {
+    chan.b.push(val)
+    return true
+  }
+
+  return NONE
+}
+
+function chanTryTake(chan) {
+  const {b: buf, p: putters} = chan
+  const task = first(putters)
+  const put = putters.get(task)
+  if (task) putters.delete(task)
+
+  let val = NONE
+  if (buf.length) {
+    val = buf.shift()
+    if (task) buf.push(put)
+  }
+  else if (task) {
+    val = put
+  }
+  else if (chan.c) {
+    val = undefined
+  }
+
+  if (task) task.done(undefined, true)
+  return val
+}
+
+function removeWaiter(waiters, task) {waiters.delete(task)}
+
+/*
+Waits for the first of several channel operations, performing only that one.
+Each element is either a channel, meaning take, or a `[chan, val]` pair,
+meaning put. Operations that are ready immediately are preferred in order.
+Resolves with `{index, val}`, where `val` is the result of `.take()` or
+`.put()`. The other operations are deinited, and never happen.
+*/
+export function select(ops) {
+  valid(ops, isArr)
+
+  for (let i = 0; i < ops.length; i++) {
+    const val = selectTry(ops[i])
+    if (val !== NONE) return p.async.fromVal(selectResult(i, val))
+  }
+
+  return p.race(ops.map(selectWait))
+}
+
+function selectTry(op) {
+  if (isArr(op)) return chanTryPut(only(op[0], isChan), only(op[1], isDef))
+  return chanTryTake(only(op, isChan))
+}
+
+function selectWait(op, index) {
+  const task = isArr(op) ? op[0].put(op[1]) : op.take()
+  return task.mapVal(bind(selectResult, index))
+}
+
+function selectResult(index, val) {return {index, val}}
+
+/*
+Wraps a task-returning function. Each call deinits the task returned by the
+previous call, if still pending, before calling the function. Useful when only
+the latest request matters, such as updating a page after user input.
+*/
+export function latest(fun) {
+  valid(fun, isFun)
+  const self = new Latest(fun)
+  return self.call.bind(self)
+}
+
+class Latest {
+  constructor(fun) {
+    this.f = fun       // "function"
+    this.t = undefined // "task"
+  }
+
+  call(...args) {
+    if (this.t) this.t.deinit()
+    const task = new p.Task()
+    this.t = task
+    task.done(undefined, callTask(this.f, args))
+    return task
+  }
+}
+
+/*
+Wraps a task-returning function. While a call is in flight, further calls don't
+invoke the function; they share the in-flight result instead, like
+`p.singleflight` with a single key.
+*/
+export function exhaust(fun) {
+  valid(fun, isFun)
+  return p.singleflight(noop, fun)
+}
+
+/*
+Like `latest`, but waits `ms` before calling the function. Each call deinits
+the previous one, whether it's still waiting or already running. Timers use the
+given scheduler, default `p.async`.
+*/
+export function debounceTask(fun, ms, scheduler) {
+  valid(fun, isFun)
+  valid(ms, isTimeout)
+  scheduler = opt(scheduler, isScheduler, p.async)
+  return latest(bind(debounced, fun, ms, scheduler))
+}
+
+function debounced(fun, ms, scheduler, ...args) {
+  return scheduler.delay(ms).mapVal(bind(callWith, fun, args))
+}
+
+/*
+Wraps a task-returning function, calling it at most once per `ms`. A call
+during the cooldown is delayed until its end; a later call supersedes it,
+deiniting its task. Calls that have started are never deinited. Timers use the
+given scheduler, default `p.async`.
+*/
+export function throttleTask(fun, ms, scheduler) {
+  valid(fun, isFun)
+  valid(ms, isTimeout)
+  const self = new Throttle(fun, ms, opt(scheduler, isScheduler, p.async))
+  return self.call.bind(self)
+}
+
+class Throttle {
+  constructor(fun, ms, scheduler) {
+    this.f = fun       // "function"
+    this.n = ms        // "interval"
+    this.s = scheduler // "scheduler"
+    this.l = -Infinity // "last call"
+    this.t = undefined // "delayed task"
+  }
+
+  call(...args) {
+    if (this.t) this.t.deinit()
+    this.t = undefined
+
+    const wait = this.l + this.n - this.s.now()
+    if (!(wait > 0)) return throttleStart(this, args)
+
+    const task = this.s.delay(wait).mapVal(bind(throttleStart, this, args))
+    this.t = task
+    return task
+  }
+}
+
+function throttleStart(self, args) {
+  self.t = undefined
+  self.l = self.s.now()
+  return callTask(self.f, args)
+}
+
+/*
+Mutual exclusion for tasks. `.lock()` returns a task that resolves with a
+release function once the lock is acquired. Waiters acquire it in FIFO order.
+Deiniting a waiting task removes it from the queue without acquiring.
+*/
+export class Mutex {
+  constructor() {
+    this.l = false     // "locked"
+    this.w = new Set() // "waiters"
+  }
+
+  isLocked() {return this.l}
+
+  lock() {
+    if (!this.l) return lockGranted(mutexAcquire(this))
+    return lockWait(this.w)
+  }
+}
+
+function mutexAcquire(mutex) {
+  mutex.l = true
+  return bind(mutexRelease, mutex, {done: false})
+}
+
+// Hands the lock over to the next waiter, if any. Repeated calls are no-ops.
+function mutexRelease(mutex, token) {
+  if (token.done) return
+  token.done = true
+  mutex.l = false
+
+  const task = first(mutex.w)
+  if (task) {
+    mutex.w.delete(task)
+    lockHandOver(task, mutexAcquire(mutex))
+  }
+}
+
+/*
+Readers-writer lock. Any number of readers, or a single writer. Waiters are
+served in FIFO order, so a waiting writer blocks subsequent readers. Otherwise
+like `Mutex`.
+*/
+export class RWLock {
+  constructor() {
+    this.r = 0         // "readers"
+    this.x = false     // "writer"
+    this.w = new Map() // "waiters", task → is writer
+  }
+
+  read() {
+    if (!this.x && !this.w.size) return lockGranted(rwAcquire(this, false))
+    return lockWait(this.w, false)
+  }
+
+  write() {
+    if (!this.x && !this.r && !this.w.size) return lockGranted(rwAcquire(this, true))
+    return lockWait(this.w, true)
+  }
+}
+
+function rwAcquire(lock, write) {
+  if (write) lock.x = true
+  else lock.r++
+  return bind(rwRelease, lock, write, {done: false})
+}
+
+function rwRelease(lock, write, token) {
+  if (token.done) return
+  token.done = true
+  if (write) lock.x = false
+  else lock.r--
+
+  for (const [task, writer] of lock.w) {
+    if (lock.x || (writer && lock.r)) break
+    lock.w.delete(task)
+    lockHandOver(task, rwAcquire(lock, writer))
+    if (writer) break
+  }
+}
+
+// The lock is already held. If the task is deinited before delivering the
+// release function, the lock is released.
+function lockGranted(release) {
+  const task = p.async.fromVal(release)
+  task.onDeinit(release)
+  return task
+}
+
+/*
+Passes the lock to a waiter. Delivery is asynchronous, so errors in the waiter's
+mappers don't escape from the `release()` that freed the lock. If the waiter is
+deinited before delivery, the lock is released again.
+*/
+function lockHandOver(task, release) {
+  task.onDeinit(release)
+  p.async.push(task, undefined, release)
+}
+
+function lockWait(waiters, val) {
+  const task = new p.Task()
+  if (isSet(waiters)) waiters.add(task)
+  else waiters.set(task, val)
+  task.onDeinit(bind(removeWaiter, waiters, task))
+  return task
+}
+
+/*
+Condition variable. `.wait()` returns a task that resolves on the next
+`.notify()` or `.notifyAll()`. Deiniting a waiting task removes it from the
+queue.
+*/
+export class Condition {
+  constructor() {
+    this.w = new Set() // "waiters"
+  }
+
+  /*
+  With a mutex and its release function: releases the mutex, waits for a
+  notification, then reacquires the mutex, resolving with the new release
+  function.
+  */
+  wait(mutex, release) {
+    if (isNil(mutex)) return lockWait(this.w)
+
+    valid(mutex, isMutex)
+    valid(release, isFun)
+    release()
+    return lockWait(this.w).mapVal(bind(mutexLock, mutex))
+  }
+
+  // Wakes the longest waiter, if any.
+  notify() {
+    const task = first(this.w)
+    if (task) {
+      this.w.delete(task)
+      p.async.push(task)
+    }
+  }
+
+  notifyAll() {
+    const tasks = [...this.w]
+    this.w.clear()
+    for (const task of tasks) p.async.push(task)
+  }
+}
+
+function mutexLock(mutex) {return mutex.lock()}
+
+/*
+Acquires the mutex, then calls the task-returning function, releasing the mutex
+when its task settles or is deinited.
+*/
+export function withLock(mutex, fun, ...args) {
+  valid(mutex, isMutex)
+  valid(fun, isFun)
+  return mutex.lock().mapVal(bind(runLocked, fun, args))
+}
+
+function runLocked(fun, args, release) {
+  const task = callTask(fun, args)
+  task.finally(release)
+  task.onDeinit(release)
+  return task
+}
+
+/*
+Token-bucket rate limiter. The bucket holds up to `burst` tokens (default 1)
+and refills at `rate` tokens per second. Each call of `fun` takes a token.
+Calls wait in FIFO order. Options:
+
+  * `rate`:      tokens per second; required
+  * `burst`:     bucket capacity; default 1
+  * `scheduler`: provides the clock and timers; default `p.async`
+*/
+export class RateLimiter {
+  constructor(opts) {
+    const {rate, burst, scheduler} = limiterOpts(opts)
+    this.r = rate            // "rate"
+    this.b = burst           // "burst"
+    this.s = scheduler       // "scheduler"
+    this.k = burst           // "tokens"
+    this.l = scheduler.now() // "last refill"
+    this.q = new Map()       // "queued", task → [fun, args]
+    this.t = undefined       // "timer"
+    this.d = false           // "deinited"
+  }
+
+  /*
+  Returns a task that settles with the eventual result of `fun(...args)`.
+  Deiniting a queued task drops the call without taking a token. Deiniting a
+  started task deinits the running task; its token is spent.
+  */
+  schedule(fun, ...args) {
+    valid(fun, isFun)
+    if (this.d) throw Error(`can't schedule: rate limiter is deinited`)
+
+    limiterRefill(this)
+    if (!this.q.size && this.k >= 1) {
+      this.k--
+      return callTask(fun, args)
+    }
+
+    const task = lockWait(this.q, [fun, args])
+    task.onDeinit(bind(limiterUnqueue, this))
+    limiterWait(this)
+    return task
+  }
+
+  // Number of calls waiting for a token.
+  pendingCount() {return this.q.size}
+
+  // Deinits every queued call. Subsequent calls to `.schedule()` throw.
+  deinit(reason) {
+    this.d = true
+    const tasks = [...this.q.keys()]
+    this.q.clear()
+    for (const task of tasks) task.deinit(reason)
+    limiterUnqueue(this)
+  }
+}
+
+function limiterOpts(opts) {
+  opts = dict(opts)
+  return {
+    rate: only(opts.rate, isPos),
+    burst: opt(opts.burst, isNatPos, 1),
+    scheduler: opt(opts.scheduler, isScheduler, p.async),
+  }
+}
+
+function limiterRefill(limiter) {
+  const now = limiter.s.now()
+  limiter.k = Math.min(limiter.b, limiter.k + (now - limiter.l) * limiter.r / 1000)
+  limiter.l = now
+}
+
+function limiterWait(limiter) {
+  if (limiter.t || !limiter.q.size) return
+  const ms = Math.ceil((1 - limiter.k) * 1000 / limiter.r)
+  limiter.t = limiter.s.delay(ms).mapVal(bind(limiterTick, limiter))
+}
+
+function limiterTick(limiter) {
+  limiter.t = undefined
+  limiterRefill(limiter)
+
+  const {q: que} = limiter
+  while (limiter.k >= 1 && que.size) {
+    const task = first(que)
+    const [fun, args] = que.get(task)
+    que.delete(task)
+    limiter.k--
+    task.done(undefined, callTask(fun, args))
+  }
+
+  limiterWait(limiter)
+}
+
+// Stops the timer once nothing is queued.
+function limiterUnqueue(limiter) {
+  if (limiter.q.size || !limiter.t) return
+  limiter.t.deinit()
+  limiter.t = undefined
+}
+
+/*
+Separate `RateLimiter` per key, such as per API host or user. Takes the same
+options. Limiters are created on demand.
+*/
+export class KeyedRateLimiter {
+  constructor(opts) {
+    this.o = limiterOpts(opts) // "options"
+    this.m = new Map()         // "limiters"
+  }
+
+  get(key) {
+    let limiter = this.m.get(key)
+    if (!limiter) this.m.set(key, (limiter = new RateLimiter(this.o)))
+    return limiter
+  }
+
+  schedule(key, fun, ...args) {return this.get(key).schedule(fun, ...args)}
+
+  // Number of queued calls for the given key, or for all keys.
+  pendingCount(key) {
+    if (!isNil(key)) return this.m.has(key) ? this.m.get(key).pendingCount() : 0
+    let count = 0
+    for (const limiter of this.m.values()) count += limiter.pendingCount()
+    return count
+  }
+
+  // Deinits the limiter for this key, dropping its queued calls, and forgets it.
+  delete(key) {
+    const limiter = this.m.get(key)
+    if (!limiter) return
+    this.m.delete(key)
+    limiter.deinit()
+  }
+
+  deinit(reason) {
+    const limiters = [...this.m.values()]
+    this.m.clear()
+    for (const limiter of limiters) limiter.deinit(reason)
+  }
+}
+
+function callTask(fun, args) {
+  try {
+    return p.toTask(fun(...args))
+  }
+  catch (err) {
+    return p.async.fromErr(err)
+  }
+}
+
+function callWith(fun, args) {return fun(...args)}
+
+function isFun(val)       {return typeof val === 'function'}
+function isArr(val)       {return Array.isArray(val)}
+function isNatPos(val)    {return Number.isInteger(val) && val > 0}
+function isNil(val)       {return val == null}
+function isDef(val)       {return val !== undefined}
+function isTimeout(val)   {return typeof val === 'number' && val >= 0 && val < Infinity}
+function isChan(val)      {return val instanceof Channel}
+function isMutex(val)     {return val instanceof Mutex}
+function isPos(val)       {return typeof val === 'number' && val > 0 && val < Infinity}
+function isObj(val)       {return val !== null && typeof val === 'object'}
+function isDict(val)      {return isObj(val) && Object.getPrototypeOf(val) === Object.prototype}
+function isSet(val)       {return val instanceof Set}
+function isScheduler(val) {return val instanceof p.Scheduler}
+
+function isCapacity(val) {
+  return val === Infinity || (Number.isInteger(val) && val >= 0)
+}
+
+function valid(val, test) {
+  if (!test(val)) throw Error(`expected ${val} to satisfy test ${test.name}`)
+}
+
+function dict(val)           {return isNil(val) ? {} : only(val, isDict)}
+function only(val, test)     {valid(val, test); return val}
+function opt(val, test, def) {return isNil(val) ? def : only(val, test)}
+
+function first(coll) {for (const key of coll.keys()) return key}
+
+function bind(fun, ...args) {return fun.bind(undefined, ...args)}
+
+function noop() {}
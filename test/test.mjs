@@ -1,6 +1,17 @@
+import {EventEmitter} from 'events'
+import * as fs from 'fs'
+import * as http from 'http'
+import * as os from 'os'
+import * as pa from 'path'
 import * as t from './utils.mjs'
 import * as p from '../posterus.mjs'
 import * as pf from '../fiber.mjs'
+import * as pi from '../interop.mjs'
+import * as ps from '../sync.mjs'
+import * as pst from '../stream.mjs'
+import * as pn from '../node.mjs'
+import * as pw from '../worker.mjs'
+import * as ph from '../http.mjs'
 
 t.runWithTimeout(async function test() {
   void function isTask() {
@@ -232,6 +243,56 @@ t.runWithTimeout(async function test() {
     await t.throws(async () => await promise, `deinit`)
   }()
 
+  await async function toPromiseDeinitReason() {
+    const task = new p.Task()
+    const promise = task.toPromise()
+    task.deinit('reason')
+
+    let error
+    await promise.catch(err => {error = err})
+    t.is(error instanceof p.DeinitError, true)
+    t.is(error.reason, 'reason')
+  }()
+
+  void function deinitReason() {
+    const outer = new p.Task()
+    const inner = new p.Task()
+    outer.done(undefined, inner)
+
+    const reasons = []
+    outer.onDeinit(reason => {reasons.push(reason)})
+    inner.onDeinit(reason => {reasons.push(reason)})
+
+    outer.deinit('reason')
+    t.eq(reasons, ['reason', 'reason'])
+  }()
+
+  void function deinitReasonPropagates() {
+    const reasons = []
+    const track = task => {
+      task.onDeinit(reason => {reasons.push(reason)})
+      return task
+    }
+
+    const trunk = track(new p.Task())
+    track(p.branch(trunk))
+    trunk.deinit('branch')
+
+    p.all([track(new p.Task())]).deinit('all')
+    p.race([track(new p.Task())]).deinit('race')
+
+    pf.fromIter(function* gen() {yield track(new p.Task())}()).deinit('fiber')
+
+    t.eq(reasons, ['branch', 'branch', 'all', 'race', 'fiber'])
+  }()
+
+  void function toSignalDeinitReason() {
+    const task = new p.Task()
+    const signal = p.toSignal(task)
+    task.deinit('reason')
+    t.is(signal.reason, 'reason')
+  }()
+
   await async function fromPromiseOk() {
     const promise = Promise.resolve(10)
     const task = p.fromPromise(promise)
@@ -254,6 +315,253 @@ t.runWithTimeout(async function test() {
     t.eq(args, ['test error', undefined])
   }()
 
+  await async function fromAsyncOk() {
+    const task = p.fromAsync(async (signal, val) => {
+      t.is(signal.aborted, false)
+      return val * 2
+    }, 10)
+    t.is(await task.toPromise(), 20)
+  }()
+
+  void function fromAsyncDeinit() {
+    let signal
+    const task = p.fromAsync(async sig => {
+      signal = sig
+      await new Promise(t.noop)
+    })
+    task.mapVal(t.panic)
+    task.deinit('reason')
+    t.is(signal.aborted, true)
+    t.is(signal.reason, 'reason')
+  }()
+
+  await async function awaitableOk() {
+    const task = p.async.fromVal(10).mapVal(val => val * 2)
+    t.is(p.awaitable(task), task)
+    t.is(await task, 20)
+  }()
+
+  await async function awaitableFail() {
+    await t.throws(async () => await p.awaitable(p.async.fromErr(Error('test error'))), 'test error')
+  }()
+
+  await async function awaitableDeinit() {
+    const task = p.awaitable(new p.Task())
+    task.deinit()
+    await t.throws(async () => await task, p.DeinitError)
+  }()
+
+  await async function awaitableDeinitWithoutAwait() {
+    const rejections = []
+    const onRejection = err => {rejections.push(err)}
+    process.on('unhandledRejection', onRejection)
+
+    p.awaitable(new p.Task()).deinit('reason')
+    p.awaitable(p.async.fromErr(Error('test error'))).mapErr(t.noop)
+    await p.delay(1).toPromise()
+
+    process.removeListener('unhandledRejection', onRejection)
+    t.eq(rejections, [])
+  }()
+
+  await async function awaitableKeepsResult() {
+    const val = await pf.fromIter(function* gen() {
+      return yield p.awaitable(p.async.fromVal(10))
+    }()).toPromise()
+    t.is(val, 10)
+
+    t.eq(await p.all([p.awaitable(p.async.fromVal(20))]).toPromise(), [20])
+
+    const task = p.awaitable(p.async.fromVal(30))
+    let mapped
+    task.mapVal(val => {mapped = val})
+    t.is(await task, undefined)
+    t.is(mapped, 30)
+  }()
+
+  await async function awaitableMapsAtAwait() {
+    t.is(await p.awaitable(p.async.fromVal(21)).mapVal(val => val * 2), 42)
+  }()
+
+  await async function awaitableKeepsErrorForLaterMappers() {
+    const err = Error('test error')
+    const task = p.awaitable(new p.Task())
+    const promise = Promise.resolve(task).catch(error => error)
+    await null
+
+    let args
+    task.map((...a) => {args = a})
+    task.done(err)
+
+    t.is(await promise, err)
+    t.eq(args, [err, undefined])
+  }()
+
+  await async function taskifyOk() {
+    function add(one, two, done) {setTimeout(done, 0, undefined, one + two)}
+    t.is(await pi.taskify(add)(10, 20).toPromise(), 30)
+  }()
+
+  await async function taskifyFail() {
+    function fail(done) {done(Error('test error'))}
+    await t.throws(() => pi.taskify(fail)().toPromise(), 'test error')
+  }()
+
+  void function taskifyCancelHandle() {
+    const task = pi.taskify(done => setTimeout(t.panic, 0, done))()
+    task.mapVal(t.panic)
+    task.deinit()
+  }()
+
+  void function taskifyCancelOpt() {
+    let args
+    const task = pi.taskify(() => 'handle', {cancel: (...a) => {args = a}})()
+    task.deinit('reason')
+    t.eq(args, ['handle', 'reason'])
+  }()
+
+  void function fromNodeCallbackSync() {
+    const task = pi.fromNodeCallback(done => {done(undefined, 'val')})
+
+    let args
+    task.map((...a) => {args = a})
+    t.is(args, undefined)
+
+    p.async.tick()
+    t.eq(args, [undefined, 'val'])
+  }()
+
+  void function fromNodeCallbackKill() {
+    let killed = false
+    pi.fromNodeCallback(() => ({kill() {killed = true}})).deinit()
+    t.is(killed, true)
+  }()
+
+  void function fromNodeCallbackAfterDeinit() {
+    let done
+    const task = pi.fromNodeCallback(fun => {done = fun})
+    task.mapVal(t.panic)
+    task.deinit()
+    done(undefined, 'val')
+    p.async.tick()
+  }()
+
+  void function fromNodeCallbackThrows() {
+    const err = Error('test error')
+    const task = pi.fromNodeCallback(() => {throw err})
+
+    let args
+    task.map((...a) => {args = a})
+    p.async.tick()
+    t.eq(args, [err, undefined])
+  }()
+
+  void function toCallbackOk() {
+    let args
+    const task = p.async.fromVal('val')
+    t.is(pi.toCallback(task, (...a) => {args = a}), task)
+    p.async.tick()
+    t.eq(args, [null, 'val'])
+  }()
+
+  void function toCallbackFail() {
+    let args
+    const err = Error('test error')
+    pi.toCallback(p.async.fromErr(err), (...a) => {args = a})
+    p.async.tick()
+    t.eq(args, [err])
+  }()
+
+  void function toCallbackDeinit() {
+    let err
+    pi.toCallback(new p.Task(), val => {err = val}).deinit('reason')
+    t.is(err instanceof p.DeinitError, true)
+    t.is(err.reason, 'reason')
+  }()
+
+  void function fromEventTarget() {
+    const target = new EventTarget()
+    const event = new Event('load')
+    const task = pi.fromEvent(target, 'load')
+
+    let val
+    task.mapVal(arg => {val = arg})
+    target.dispatchEvent(event)
+    t.is(val, event)
+  }()
+
+  void function fromEventEmitter() {
+    const emitter = new EventEmitter()
+    const task = pi.fromEvent(emitter, 'message', {filter: val => val > 10})
+
+    let val
+    task.mapVal(arg => {val = arg})
+    emitter.emit('message', 10)
+    t.is(val, undefined)
+    emitter.emit('message', 20)
+    t.is(val, 20)
+    t.is(emitter.listenerCount('message'), 0)
+  }()
+
+  void function fromEventError() {
+    const emitter = new EventEmitter()
+    const err = Error('test error')
+    const task = pi.fromEvent(emitter, 'close', {errorEvent: 'error'})
+
+    let args
+    task.map((...a) => {args = a})
+    emitter.emit('error', err)
+    t.eq(args, [err, undefined])
+    t.is(emitter.listenerCount('close'), 0)
+    t.is(emitter.listenerCount('error'), 0)
+  }()
+
+  void function fromEventDeinit() {
+    const emitter = new EventEmitter()
+    const task = pi.fromEvent(emitter, 'close', {errorEvent: 'error'})
+    task.mapVal(t.panic)
+    task.deinit()
+    t.is(emitter.listenerCount('close'), 0)
+    t.is(emitter.listenerCount('error'), 0)
+    emitter.emit('close')
+  }()
+
+  void function fromPromiseSignal() {
+    const ctrl = new AbortController()
+    const task = p.fromPromise(new Promise(t.noop), {signal: ctrl.signal})
+    task.mapVal(t.panic)
+    ctrl.abort()
+    t.is(task.isDone(), true)
+  }()
+
+  void function fromPromiseAbort() {
+    const ctrl = new AbortController()
+    p.fromPromise(new Promise(t.noop), ctrl).deinit()
+    t.is(ctrl.signal.aborted, true)
+  }()
+
+  void function fromSignalAbort() {
+    const ctrl = new AbortController()
+    const task = p.fromSignal(ctrl.signal)
+    t.is(task.isDone(), false)
+    ctrl.abort()
+    t.is(task.isDone(), true)
+  }()
+
+  void function fromSignalAborted() {
+    const ctrl = new AbortController()
+    ctrl.abort()
+    t.is(p.fromSignal(ctrl.signal).isDone(), true)
+  }()
+
+  void function toSignalDeinit() {
+    const task = new p.Task()
+    const signal = p.toSignal(task)
+    t.is(signal.aborted, false)
+    task.deinit()
+    t.is(signal.aborted, true)
+  }()
+
   await async function fibers() {
     function* inner(val) {return val}
 
@@ -316,6 +624,169 @@ t.runWithTimeout(async function test() {
       t.throws(() => pf.fromIter(outer()).deinit(), 'test error')
     }()
 
+    void function fiberDeinitRunsFinally() {
+      const order = []
+
+      function* inner() {
+        try {yield new p.Task()}
+        finally {order.push('inner')}
+      }
+
+      function* outer() {
+        try {yield inner()}
+        finally {order.push('outer')}
+      }
+
+      pf.fromIter(outer()).deinit()
+      t.eq(order, ['inner', 'outer'])
+    }()
+
+    void function fiberDeinitWaitsForCleanup() {
+      let cleaned
+
+      function* gen() {
+        try {yield new p.Task()}
+        finally {cleaned = yield p.async.fromVal('cleaned')}
+      }
+
+      pf.fromIter(gen()).deinit()
+      t.is(cleaned, undefined)
+
+      p.async.tick()
+      t.is(cleaned, 'cleaned')
+    }()
+
+    void function fiberDeinitBeforeStart() {
+      const task = pf.fiberAsync(function* gen() {yield t.panic()})()
+      task.deinit()
+      p.async.tick()
+    }()
+
+    void function fiberDeinitWhileRunning() {
+      const start = new p.Task()
+      const sibling = new p.Task()
+      const pending = new p.Task()
+      let cleaned = false
+
+      const fib = pf.fromIter(function* gen() {
+        try {
+          yield start
+          sibling.done(undefined, 'sibling')
+          yield pending
+        }
+        finally {cleaned = true}
+      }())
+
+      let result
+      p.race([fib, sibling]).mapVal(val => {result = val})
+      start.done()
+
+      t.is(result, 'sibling')
+      t.is(fib.isDone(), true)
+      t.is(pending.isDone(), true)
+      t.is(cleaned, true)
+    }()
+
+    void function fiberDeinitFinallyThrows() {
+      const err = Error('err')
+      let cleaned = false
+
+      const one = pf.fromIter(function* gen() {
+        try {yield new p.Task()}
+        finally {throw err} // eslint-disable-line no-unsafe-finally
+      }())
+
+      const two = pf.fromIter(function* gen() {
+        try {yield new p.Task()}
+        finally {cleaned = true}
+      }())
+
+      const errs = []
+      p.setUnhandled(val => {errs.push(val)})
+      try {
+        p.all([one, two]).deinit()
+      }
+      finally {
+        p.setUnhandled(p.reportUnhandled)
+      }
+
+      t.is(cleaned, true)
+      t.eq(errs, [err])
+    }()
+
+    void function fiberYieldArray() {
+      const task = pf.fromIter(function* gen() {
+        const [one, two, three] = yield [p.async.fromVal(1), inner(2), 3]
+        return one + two + three
+      }())
+
+      let args
+      task.map((...a) => {args = a})
+      p.async.tick()
+      t.eq(args, [undefined, 6])
+    }()
+
+    void function fiberYieldDict() {
+      const task = pf.fromIter(function* gen() {
+        return yield {one: p.async.fromVal(1), two: [inner(2), p.async.fromVal(3)]}
+      }())
+
+      let args
+      task.map((...a) => {args = a})
+      p.async.tick()
+      t.eq(args, [undefined, {one: 1, two: [2, 3]}])
+    }()
+
+    void function fiberYieldSyncArray() {
+      const val = pf.fromIter(function* gen() {
+        return yield [1, inner(2)]
+      }())
+      t.eq(val, [1, 2])
+    }()
+
+    void function fiberYieldArrayDeinit() {
+      const task0 = new p.Task()
+      const task1 = new p.Task()
+      pf.fromIter(function* gen() {yield [task0, task1]}()).deinit()
+      t.is(task0.isDone(), true)
+      t.is(task1.isDone(), true)
+    }()
+
+    void function fiberRaceEffect() {
+      const loser = new p.Task()
+
+      const task = pf.fromIter(function* gen() {
+        return yield pf.race([p.async.fromVal('one'), loser])
+      }())
+
+      let args
+      task.map((...a) => {args = a})
+      p.async.tick()
+      t.eq(args, [undefined, 'one'])
+      t.is(loser.isDone(), true)
+    }()
+
+    void function fiberEffectsAreLazy() {
+      function* gen() {yield t.panic()}
+      pf.all([gen()])
+      pf.race([gen()])
+      pf.any([gen()])
+      pf.allSettled({one: gen()})
+    }()
+
+    void function fiberAllSettledEffect() {
+      const err = Error('err')
+
+      const task = pf.fromIter(function* gen() {
+        return yield pf.allSettled({one: p.async.fromErr(err), two: inner(2)})
+      }())
+
+      let args
+      task.map((...a) => {args = a})
+      p.async.tick()
+      t.eq(args, [undefined, {one: {err, val: undefined}, two: {err: undefined, val: 2}}])
+    }()
+
     await async function fiberMapperThrow() {
       const task = pf.fiberAsync(function*() {})()
       task.mapVal(() => {throw Error('test error')})
@@ -387,65 +858,1471 @@ t.runWithTimeout(async function test() {
     await t.throws(() => branch1.map(t.noop), 'task is done')
   }()
 
-  void function allOk() {
-    const task = p.all([
-      'one',
-      p.async.fromVal('two'),
-      p.async.fromVal().mapVal(() => 'three'),
-    ])
+  void function schedulerUnhandled() {
+    const err = Error('err')
+    const scheduler = new p.Scheduler()
+
+    const errs = []
+    scheduler.unhandled = (...a) => {errs.push(a)}
+
+    const task0 = scheduler.fromErr(err)
+    const task1 = scheduler.fromVal('val')
 
     let args
-    task.map((...a) => {args = a})
+    task1.map((...a) => {args = a})
 
-    p.async.tick()
-    t.eq(args, [undefined, ['one', 'two', 'three']])
+    scheduler.tick()
+    t.eq(errs, [[err, task0]])
+    t.eq(args, [undefined, 'val'])
   }()
 
-  void function allFail() {
+  await async function setUnhandled() {
     const err = Error('err')
 
-    const task = p.all([
-      p.async.fromErr(err),
-      p.async.fromVal().mapVal(t.panic),
-    ])
+    const errs = []
+    p.setUnhandled((...a) => {errs.push(a)})
+
+    try {
+      const task = p.delay(0).mapVal(() => {throw err})
+      await p.delay(1).toPromise()
+      t.eq(errs, [[err, task]])
+    }
+    finally {
+      p.setUnhandled(p.reportUnhandled)
+    }
+  }()
+
+  void function schedulerCustom() {
+    const funs = []
+    const scheduler = new p.Scheduler(fun => {funs.push(fun)})
 
     let args
-    task.map((...a) => {args = a})
+    scheduler.fromVal('one').map((...a) => {args = a})
+    scheduler.fromVal('two')
+    t.is(funs.length, 1)
+    t.is(args, undefined)
 
-    p.async.tick()
-    t.eq(args, [err, undefined])
+    funs[0]()
+    t.eq(args, [undefined, 'one'])
   }()
 
-  void function raceOk() {
-    const task = p.race([
-      p.async.fromVal('one'),
-      p.async.fromErr(Error('two')),
-      'three',
-      p.async.fromVal().mapVal(t.panic),
-    ])
+  await async function schedulersBuiltin() {
+    t.is(await p.microtask.fromVal('one').toPromise(), 'one')
+    t.is(await p.macrotask.fromVal('two').toPromise(), 'two')
+    t.is(await p.animationFrame.fromVal('three').toPromise(), 'three')
+    t.is(await p.idle.fromVal('four').toPromise(), 'four')
+  }()
 
-    let args
-    task.map((...a) => {args = a})
+  void function sharedOk() {
+    const source = new p.Task()
+    const shared = new p.Shared(source)
+
+    let args0
+    shared.task().map((...a) => {args0 = a})
 
+    source.done(undefined, 'val')
+    t.eq(args0, [undefined, 'val'])
+    t.is(shared.isDone(), true)
+
+    let args1
+    shared.task().map((...a) => {args1 = a})
     p.async.tick()
-    t.eq(args, [undefined, 'three'])
+    t.eq(args1, [undefined, 'val'])
   }()
 
-  void function raceFail() {
+  void function sharedFail() {
     const err = Error('err')
+    const shared = new p.Shared(p.async.fromErr(err))
 
-    const task = p.race([
-      p.async.fromErr(err),
-      p.async.fromVal('val'),
-      p.async.fromVal().mapVal(t.panic),
-    ])
+    let args0
+    shared.task().map((...a) => {args0 = a})
+    p.async.tick()
+    t.eq(args0, [err, undefined])
+
+    let args1
+    shared.task().map((...a) => {args1 = a})
+    p.async.tick()
+    t.eq(args1, [err, undefined])
+  }()
+
+  await async function sharedRefcount() {
+    const source = new p.Task()
+    const shared = new p.Shared(source)
+    const task0 = shared.task()
+    const task1 = shared.task()
+
+    task0.deinit()
+    t.is(source.isDone(), false)
+
+    task1.deinit()
+    t.is(source.isDone(), true)
+    await t.throws(() => shared.task(), `shared task is deinited`)
+  }()
+
+  void function sharedDeinit() {
+    const source = new p.Task()
+    const shared = new p.Shared(source)
+    const task = shared.task().mapVal(t.panic)
+    shared.deinit()
+    t.is(source.isDone(), true)
+    t.is(task.isDone(), true)
+  }()
+
+  void function sharedScheduler() {
+    const scheduler = new p.TestScheduler()
+    const shared = new p.Shared(scheduler.fromVal('val'), scheduler)
+    scheduler.tick()
 
     let args
-    task.map((...a) => {args = a})
+    shared.task().map((...a) => {args = a})
+    t.is(scheduler.pendingCount(), 1)
+    scheduler.tick()
+    t.eq(args, [undefined, 'val'])
+  }()
+
+  void function singleflightOk() {
+    const calls = []
+    const get = p.singleflight(val => val.id, val => {
+      calls.push(val)
+      return p.async.fromVal(val.id * 10)
+    })
+
+    let args0
+    get({id: 1}).map((...a) => {args0 = a})
+    let args1
+    get({id: 1}).map((...a) => {args1 = a})
+    let args2
+    get({id: 2}).map((...a) => {args2 = a})
 
+    t.eq(calls, [{id: 1}, {id: 2}])
     p.async.tick()
-    t.eq(args, [err, undefined])
+    t.eq(args0, [undefined, 10])
+    t.eq(args1, [undefined, 10])
+    t.eq(args2, [undefined, 20])
+
+    get({id: 1})
+    t.eq(calls, [{id: 1}, {id: 2}, {id: 1}])
   }()
-}).then(() => {
+
+  void function singleflightDeinit() {
+    const sources = []
+    const get = p.singleflight(String, () => {
+      const task = new p.Task()
+      sources.push(task)
+      return task
+    })
+
+    const task0 = get('key')
+    const task1 = get('key')
+    t.is(sources.length, 1)
+
+    task0.deinit()
+    t.is(sources[0].isDone(), false)
+    task1.deinit()
+    t.is(sources[0].isDone(), true)
+
+    get('key')
+    t.is(sources.length, 2)
+  }()
+
+  void function taskCacheTtl() {
+    const scheduler = new p.TestScheduler()
+    let count = 0
+    const cache = new p.TaskCache(() => scheduler.fromVal(++count), {ttl: 100, scheduler})
+
+    let args
+    cache.get('key').map((...a) => {args = a})
+    scheduler.tick()
+    t.eq(args, [undefined, 1])
+
+    scheduler.advanceBy(99)
+    args = undefined
+    cache.get('key').map((...a) => {args = a})
+    scheduler.tick()
+    t.eq(args, [undefined, 1])
+
+    scheduler.advanceBy(1)
+    cache.get('key').map((...a) => {args = a})
+    scheduler.tick()
+    t.eq(args, [undefined, 2])
+
+    cache.invalidate('key')
+    cache.get('key').map((...a) => {args = a})
+    scheduler.tick()
+    t.eq(args, [undefined, 3])
+  }()
+
+  void function taskCacheFail() {
+    let count = 0
+    const cache = new p.TaskCache(() => p.async.fromErr(Error(`fail ${++count}`)), {ttl: 100})
+
+    let error
+    cache.get('key').mapErr(err => {error = err})
+    p.async.tick()
+    t.is(error.message, 'fail 1')
+
+    cache.get('key').mapErr(err => {error = err})
+    p.async.tick()
+    t.is(error.message, 'fail 2')
+  }()
+
+  void function allOk() {
+    const task = p.all([
+      'one',
+      p.async.fromVal('two'),
+      p.async.fromVal().mapVal(() => 'three'),
+    ])
+
+    let args
+    task.map((...a) => {args = a})
+
+    p.async.tick()
+    t.eq(args, [undefined, ['one', 'two', 'three']])
+  }()
+
+  void function allFail() {
+    const err = Error('err')
+
+    const task = p.all([
+      p.async.fromErr(err),
+      p.async.fromVal().mapVal(t.panic),
+    ])
+
+    let args
+    task.map((...a) => {args = a})
+
+    p.async.tick()
+    t.eq(args, [err, undefined])
+  }()
+
+  void function raceOk() {
+    const task = p.race([
+      p.async.fromVal('one'),
+      p.async.fromErr(Error('two')),
+      'three',
+      p.async.fromVal().mapVal(t.panic),
+    ])
+
+    let args
+    task.map((...a) => {args = a})
+
+    p.async.tick()
+    t.eq(args, [undefined, 'three'])
+  }()
+
+  void function raceFail() {
+    const err = Error('err')
+
+    const task = p.race([
+      p.async.fromErr(err),
+      p.async.fromVal('val'),
+      p.async.fromVal().mapVal(t.panic),
+    ])
+
+    let args
+    task.map((...a) => {args = a})
+
+    p.async.tick()
+    t.eq(args, [err, undefined])
+  }()
+
+  void function allSettledOk() {
+    const err = Error('err')
+
+    const task = p.allSettled([
+      'one',
+      p.async.fromVal('two'),
+      p.async.fromErr(err),
+    ])
+
+    let args
+    task.map((...a) => {args = a})
+
+    p.async.tick()
+    t.eq(args, [undefined, [
+      {err: undefined, val: 'one'},
+      {err: undefined, val: 'two'},
+      {err, val: undefined},
+    ]])
+  }()
+
+  void function dictAllSettledOk() {
+    const err = Error('err')
+
+    const task = p.dictAllSettled({
+      one: p.async.fromErr(err),
+      two: p.async.fromVal('two'),
+    })
+
+    let args
+    task.map((...a) => {args = a})
+
+    p.async.tick()
+    t.eq(args, [undefined, {
+      one: {err, val: undefined},
+      two: {err: undefined, val: 'two'},
+    }])
+  }()
+
+  void function anyOk() {
+    const task = p.any([
+      p.async.fromErr(Error('one')),
+      p.async.fromVal('two'),
+      p.async.fromVal().mapVal(t.panic),
+    ])
+
+    let args
+    task.map((...a) => {args = a})
+
+    p.async.tick()
+    t.eq(args, [undefined, 'two'])
+  }()
+
+  void function anyFail() {
+    const err0 = Error('one')
+    const err1 = Error('two')
+    const task = p.any([p.async.fromErr(err0), p.async.fromErr(err1)])
+
+    let error
+    task.mapErr(err => {error = err})
+
+    p.async.tick()
+    t.is(error instanceof AggregateError, true)
+    t.eq(error.errors, [err0, err1])
+  }()
+
+  void function anyDeinit() {
+    const inner = p.async.fromVal().mapVal(t.panic)
+    p.any([inner]).deinit()
+    t.is(inner.isDone(), true)
+    p.async.tick()
+  }()
+
+  void function scopeWaitsForChildren() {
+    const scope = new p.Scope()
+    const child0 = new p.Task()
+    const child1 = new p.Task()
+    t.is(scope.spawn(child0), undefined)
+    scope.spawn(child1)
+
+    let args
+    scope.map((...a) => {args = a})
+
+    t.is(scope.done(undefined, 'val'), scope)
+    child0.done(undefined, 'unused')
+    t.is(args, undefined)
+    child1.done()
+    t.eq(args, [undefined, 'val'])
+  }()
+
+  void function scopeWaitsForTaskResult() {
+    const scope = new p.Scope()
+    const child = new p.Task()
+    scope.spawn(child)
+    const inner = new p.Task()
+
+    let args
+    scope.map((...a) => {args = a})
+    scope.done(undefined, inner)
+
+    inner.done(undefined, 'val')
+    t.is(args, undefined)
+    child.done()
+    t.eq(args, [undefined, 'val'])
+  }()
+
+  void function scopeChildFailure() {
+    const err = Error('err')
+    const scope = new p.Scope()
+    const child0 = new p.Task()
+    const child1 = new p.Task().mapVal(t.panic)
+    scope.spawn(child0)
+    scope.spawn(child1)
+
+    let args
+    scope.map((...a) => {args = a})
+
+    child0.done(err)
+    t.is(child1.isDone(), true)
+    t.is(args, undefined)
+    scope.done(undefined, 'val')
+    t.eq(args, [err, undefined])
+  }()
+
+  void function scopeChildFailureWhileWaiting() {
+    const err = Error('err')
+    const scope = new p.Scope()
+    const child0 = new p.Task()
+    const child1 = new p.Task().mapVal(t.panic)
+    scope.spawn(child0)
+    scope.spawn(child1)
+
+    let args
+    scope.map((...a) => {args = a})
+    scope.done(undefined, 'val')
+
+    child0.done(err)
+    t.is(child1.isDone(), true)
+    t.eq(args, [err, undefined])
+  }()
+
+  await async function scopeSpawnAfterDone() {
+    const scope = new p.Scope()
+    scope.done()
+    await t.throws(() => scope.spawn(new p.Task()), `scope is done`)
+  }()
+
+  void function scopeDeinit() {
+    const scope = new p.Scope()
+    const child0 = new p.Task().mapVal(t.panic)
+    const child1 = new p.Task().mapVal(t.panic)
+    scope.spawn(child0)
+    scope.spawn(child1)
+    scope.deinit()
+    t.is(child0.isDone(), true)
+    t.is(child1.isDone(), true)
+  }()
+
+  void function scopeFiber() {
+    const child = new p.Task()
+
+    function* gen() {
+      const scope = new p.Scope()
+      scope.spawn(child)
+      return yield scope.done(undefined, 'val')
+    }
+
+    let args
+    pf.fromIter(gen()).map((...a) => {args = a})
+
+    t.is(args, undefined)
+    child.done()
+    t.eq(args, [undefined, 'val'])
+  }()
+
+  void function scopeFiberDeinit() {
+    const child = new p.Task().mapVal(t.panic)
+
+    const task = pf.fromIter(function* gen() {
+      const scope = new p.Scope()
+      scope.spawn(child)
+      yield scope.done()
+    }())
+
+    task.deinit()
+    t.is(child.isDone(), true)
+  }()
+
+  void function poolLimit() {
+    const pool = new ps.Pool(2)
+    const inners = []
+    const start = () => {
+      const task = new p.Task()
+      inners.push(task)
+      return task
+    }
+
+    const task0 = pool.run(start)
+    pool.run(start)
+    const task2 = pool.run(start)
+    t.is(inners.length, 2)
+
+    let args0
+    task0.map((...a) => {args0 = a})
+    let args2
+    task2.map((...a) => {args2 = a})
+
+    inners[0].done(undefined, 'one')
+    t.eq(args0, [undefined, 'one'])
+    t.is(inners.length, 3)
+
+    inners[2].done(undefined, 'three')
+    t.eq(args2, [undefined, 'three'])
+  }()
+
+  void function poolDeinitQueued() {
+    const pool = new ps.Pool(1)
+    const inner = new p.Task()
+    pool.run(() => inner)
+    pool.run(t.panic).deinit()
+    for (let i = 0; i < 1000; i++) pool.run(t.panic).deinit()
+    t.is(pool.pendingCount(), 0)
+    inner.done()
+  }()
+
+  void function poolDeinitRunning() {
+    const pool = new ps.Pool(1)
+    const inner = new p.Task()
+    pool.run(() => inner)
+    pool.run(t.panic)
+    pool.deinit()
+    t.is(inner.isDone(), true)
+  }()
+
+  void function mapLimitOk() {
+    let running = 0
+    let maxRunning = 0
+
+    const task = ps.mapLimit([1, 2, 3], 2, (val, index) => {
+      maxRunning = Math.max(maxRunning, ++running)
+      return p.async.fromVal(val * 10 + index).finally(() => {running--})
+    })
+
+    let args
+    task.map((...a) => {args = a})
+
+    p.async.tick()
+    t.eq(args, [undefined, [10, 21, 32]])
+    t.is(maxRunning, 2)
+  }()
+
+  void function mutexOk() {
+    const mutex = new ps.Mutex()
+    const order = []
+
+    let release0
+    mutex.lock().mapVal(release => {release0 = release})
+    t.is(mutex.isLocked(), true)
+
+    const wait1 = mutex.lock()
+    wait1.mapVal(t.panic)
+    mutex.lock().mapVal(release => {
+      order.push('two')
+      release()
+    })
+
+    p.async.tick()
+    wait1.deinit()
+
+    order.push('one')
+    release0()
+    release0()
+    p.async.tick()
+    t.eq(order, ['one', 'two'])
+    t.is(mutex.isLocked(), false)
+  }()
+
+  void function mutexWaiterThrows() {
+    const mutex = new ps.Mutex()
+    const err = Error('test error')
+
+    let release0
+    mutex.lock().mapVal(release => {release0 = release})
+    p.async.tick()
+    mutex.lock().mapVal(() => {throw err})
+
+    const errs = []
+    p.setUnhandled(val => {errs.push(val)})
+    try {
+      release0()
+      p.async.tick()
+    }
+    finally {
+      p.setUnhandled(p.reportUnhandled)
+    }
+    t.eq(errs, [err])
+  }()
+
+  void function mutexDeinitBeforeDelivery() {
+    const mutex = new ps.Mutex()
+    mutex.lock().deinit()
+    t.is(mutex.isLocked(), false)
+  }()
+
+  void function rwLockOk() {
+    const lock = new ps.RWLock()
+    const releases = []
+    const order = []
+
+    lock.read().mapVal(release => {releases.push(release)})
+    lock.read().mapVal(release => {releases.push(release)})
+    p.async.tick()
+    t.is(releases.length, 2)
+
+    lock.write().mapVal(release => {
+      order.push('write')
+      releases.push(release)
+    })
+    lock.read().mapVal(release => {
+      order.push('read')
+      releases.push(release)
+    })
+
+    releases[0]()
+    p.async.tick()
+    t.eq(order, [])
+    releases[1]()
+    p.async.tick()
+    t.eq(order, ['write'])
+
+    releases[2]()
+    p.async.tick()
+    t.eq(order, ['write', 'read'])
+
+    const write = lock.write()
+    p.async.tick()
+    t.is(write.isDone(), false)
+  }()
+
+  void function conditionOk() {
+    const mutex = new ps.Mutex()
+    const cond = new ps.Condition()
+    const log = []
+    let ready = false
+
+    pf.fromIter(function* waiter() {
+      let release = yield mutex.lock()
+      while (!ready) release = yield cond.wait(mutex, release)
+      log.push('ready')
+      release()
+    }())
+
+    p.async.tick()
+    t.is(mutex.isLocked(), false)
+
+    pf.fromIter(function* notifier() {
+      const release = yield mutex.lock()
+      ready = true
+      cond.notify()
+      log.push('notified')
+      release()
+    }())
+
+    p.async.tick()
+    t.eq(log, ['notified', 'ready'])
+  }()
+
+  void function conditionDeinit() {
+    const cond = new ps.Condition()
+    const task = cond.wait()
+    task.mapVal(t.panic)
+    task.deinit()
+
+    const next = cond.wait()
+    cond.notify()
+    p.async.tick()
+    t.is(next.isDone(), true)
+  }()
+
+  void function withLockOk() {
+    const mutex = new ps.Mutex()
+    const inner = new p.Task()
+
+    let result
+    ps.withLock(mutex, val => inner.mapVal(res => res + val), 1)
+      .mapVal(val => {result = val})
+
+    p.async.tick()
+    t.is(mutex.isLocked(), true)
+
+    inner.done(undefined, 10)
+    t.is(result, 11)
+    t.is(mutex.isLocked(), false)
+  }()
+
+  void function withLockDeinit() {
+    const mutex = new ps.Mutex()
+    const task = ps.withLock(mutex, () => new p.Task())
+    p.async.tick()
+    t.is(mutex.isLocked(), true)
+    task.deinit()
+    t.is(mutex.isLocked(), false)
+  }()
+
+  void function withLockFail() {
+    const mutex = new ps.Mutex()
+    const task = ps.withLock(mutex, () => {throw Error('test error')})
+
+    let error
+    task.mapErr(err => {error = err})
+    p.async.tick()
+    p.async.tick()
+    t.is(error.message, 'test error')
+    t.is(mutex.isLocked(), false)
+  }()
+
+  void function rateLimiterOk() {
+    const scheduler = new p.TestScheduler()
+    const limiter = new ps.RateLimiter({rate: 10, burst: 2, scheduler})
+    const times = []
+
+    function call(val) {
+      times.push([val, scheduler.now()])
+      return scheduler.fromVal(val)
+    }
+
+    const results = []
+    for (const val of [1, 2, 3, 4]) {
+      limiter.schedule(call, val).mapVal(res => {results.push(res)})
+    }
+    t.eq(times, [[1, 0], [2, 0]])
+    t.is(limiter.pendingCount(), 2)
+
+    scheduler.runAll()
+    t.eq(times, [[1, 0], [2, 0], [3, 100], [4, 200]])
+    t.eq(results, [1, 2, 3, 4])
+    t.is(limiter.pendingCount(), 0)
+  }()
+
+  void function rateLimiterDeinitQueued() {
+    const scheduler = new p.TestScheduler()
+    const limiter = new ps.RateLimiter({rate: 10, scheduler})
+    const calls = []
+
+    limiter.schedule(calls.push.bind(calls), 1)
+    const task = limiter.schedule(calls.push.bind(calls), 2)
+    limiter.schedule(calls.push.bind(calls), 3)
+    t.is(limiter.pendingCount(), 2)
+
+    task.deinit()
+    t.is(limiter.pendingCount(), 1)
+
+    scheduler.advanceBy(100)
+    t.eq(calls, [1, 3])
+    t.is(scheduler.pendingCount(), 0)
+  }()
+
+  await async function rateLimiterDeinit() {
+    const scheduler = new p.TestScheduler()
+    const limiter = new ps.RateLimiter({rate: 1, scheduler})
+    limiter.schedule(t.noop)
+    const task = limiter.schedule(t.panic)
+    t.is(scheduler.pendingCount(), 1)
+
+    limiter.deinit()
+    t.is(task.isDone(), true)
+    t.is(scheduler.pendingCount(), 0)
+    await t.throws(() => limiter.schedule(t.noop), `rate limiter is deinited`)
+  }()
+
+  void function keyedRateLimiter() {
+    const scheduler = new p.TestScheduler()
+    const limiter = new ps.KeyedRateLimiter({rate: 1, scheduler})
+    const calls = []
+
+    for (const key of ['one', 'one', 'two']) {
+      limiter.schedule(key, val => {calls.push(val)}, key)
+    }
+    t.eq(calls, ['one', 'two'])
+    t.is(limiter.pendingCount('one'), 1)
+    t.is(limiter.pendingCount('two'), 0)
+    t.is(limiter.pendingCount(), 1)
+
+    scheduler.runAll()
+    t.eq(calls, ['one', 'two', 'one'])
+  }()
+
+  void function latestOk() {
+    const tasks = []
+    const fun = ps.latest(val => {
+      const task = new p.Task()
+      tasks.push(task)
+      return task.mapVal(res => res + val)
+    })
+
+    const task0 = fun(1)
+    task0.mapVal(t.panic)
+    const task1 = fun(2)
+    t.is(task0.isDone(), true)
+    t.is(tasks[0].isDone(), true)
+
+    let result
+    task1.mapVal(val => {result = val})
+    tasks[1].done(undefined, 10)
+    t.is(result, 12)
+  }()
+
+  void function exhaustOk() {
+    let count = 0
+    let source
+    const fun = ps.exhaust(() => {
+      count++
+      return (source = new p.Task())
+    })
+
+    const results = []
+    fun().mapVal(val => {results.push(val)})
+    fun().mapVal(val => {results.push(val)})
+    t.is(count, 1)
+
+    source.done(undefined, 'one')
+    t.eq(results, ['one', 'one'])
+
+    fun()
+    t.is(count, 2)
+  }()
+
+  void function debounceTaskOk() {
+    const scheduler = new p.TestScheduler()
+    const calls = []
+    const fun = ps.debounceTask(val => {
+      calls.push([val, scheduler.now()])
+      return scheduler.fromVal(val)
+    }, 10, scheduler)
+
+    const task0 = fun('one')
+    scheduler.advanceBy(5)
+    const task1 = fun('two')
+    t.is(task0.isDone(), true)
+
+    let result
+    task1.mapVal(val => {result = val})
+    scheduler.runAll()
+    t.eq(calls, [['two', 15]])
+    t.is(result, 'two')
+  }()
+
+  void function throttleTaskOk() {
+    const scheduler = new p.TestScheduler()
+    const calls = []
+    const fun = ps.throttleTask(val => {
+      calls.push([val, scheduler.now()])
+      return scheduler.fromVal(val)
+    }, 10, scheduler)
+
+    fun('one')
+    scheduler.advanceBy(5)
+    const task1 = fun('two')
+    scheduler.advanceBy(2)
+    const task2 = fun('three')
+    t.is(task1.isDone(), true)
+
+    let result
+    task2.mapVal(val => {result = val})
+    scheduler.runAll()
+    t.eq(calls, [['one', 0], ['three', 10]])
+    t.is(result, 'three')
+
+    scheduler.advanceBy(20)
+    fun('four')
+    t.eq(calls[2], ['four', 30])
+  }()
+
+  void function channelUnbuffered() {
+    const chan = new ps.Channel()
+    const log = []
+
+    pf.fromIter(function* producer() {
+      for (const val of ['one', 'two']) log.push(['put', yield chan.put(val)])
+      chan.close()
+    }())
+
+    pf.fromIter(function* consumer() {
+      let val
+      while ((val = yield chan.take()) !== undefined) log.push(['take', val])
+      log.push(['closed'])
+    }())
+
+    for (let i = 0; i < 8; i++) p.async.tick()
+
+    t.eq(log, [
+      ['put', true], ['take', 'one'],
+      ['put', true], ['take', 'two'],
+      ['closed'],
+    ])
+  }()
+
+  void function channelBuffered() {
+    const chan = new ps.Channel(1)
+    const results = []
+
+    chan.put('one').mapVal(val => {results.push(val)})
+    const put = chan.put('two').mapVal(val => {results.push(val)})
+    p.async.tick()
+    t.eq(results, [true])
+    t.is(put.isDone(), false)
+
+    chan.take().mapVal(val => {results.push(val)})
+    t.eq(results, [true, true])
+    p.async.tick()
+    t.eq(results, [true, true, 'one'])
+  }()
+
+  void function channelClose() {
+    const chan = new ps.Channel()
+    const results = []
+
+    chan.take().mapVal(val => {results.push(val)})
+    chan.close()
+    t.eq(results, [undefined])
+
+    chan.put('one').mapVal(val => {results.push(val)})
+    p.async.tick()
+    t.eq(results, [undefined, false])
+  }()
+
+  void function channelCloseKeepsPuts() {
+    const chan = new ps.Channel()
+    const put = chan.put('one')
+    chan.close()
+    t.is(put.isDone(), false)
+
+    let result
+    chan.take().mapVal(val => {result = val})
+    t.is(put.isDone(), true)
+    p.async.tick()
+    t.is(result, 'one')
+  }()
+
+  void function channelDeinitRemovesWaiter() {
+    const chan = new ps.Channel()
+    const fib = pf.fromIter(function* gen() {yield chan.put('one')}())
+    fib.deinit()
+
+    let taken
+    const take = chan.take()
+    take.mapVal(val => {taken = val})
+    t.is(take.isDone(), false)
+    chan.put('two')
+    t.is(taken, 'two')
+
+    chan.take().deinit()
+    const put = chan.put('three')
+    t.is(put.isDone(), false)
+    chan.take().mapVal(val => {taken = val})
+    p.async.tick()
+    t.is(taken, 'three')
+    t.is(put.isDone(), true)
+  }()
+
+  void function selectReady() {
+    const chan0 = new ps.Channel()
+    const chan1 = new ps.Channel(1)
+
+    let result
+    ps.select([chan0, [chan1, 'one']]).mapVal(val => {result = val})
+    p.async.tick()
+    t.eq(result, {index: 1, val: true})
+
+    let taken
+    chan1.take().mapVal(val => {taken = val})
+    p.async.tick()
+    t.is(taken, 'one')
+    t.is(chan0.put('two').isDone(), false)
+  }()
+
+  void function selectWaits() {
+    const chan0 = new ps.Channel()
+    const chan1 = new ps.Channel()
+    const chan2 = new ps.Channel()
+
+    let result
+    ps.select([chan0, chan1, [chan2, 'one']]).mapVal(val => {result = val})
+
+    chan1.put('two')
+    t.eq(result, {index: 1, val: 'two'})
+    t.is(chan0.put('three').isDone(), false)
+    t.is(chan2.take().mapVal(t.panic).isDone(), false)
+    p.async.tick()
+  }()
+
+  void function selectDeinit() {
+    const chan0 = new ps.Channel()
+    const chan1 = new ps.Channel()
+    ps.select([chan0, [chan1, 'one']]).deinit()
+    t.is(chan0.put('two').isDone(), false)
+    t.is(chan1.take().mapVal(t.panic).isDone(), false)
+    p.async.tick()
+  }()
+
+  await async function delayOk() {
+    t.is(await p.delay(1, 'val').toPromise(), 'val')
+  }()
+
+  await async function delayDeinit() {
+    p.delay(0).mapVal(t.panic).deinit()
+    await p.delay(1).toPromise()
+  }()
+
+  await async function timeoutOk() {
+    t.is(await p.timeout(p.delay(0, 'val'), 64).toPromise(), 'val')
+  }()
+
+  await async function timeoutFail() {
+    const inner = new p.Task()
+    let deinited
+    inner.onDeinit(() => {deinited = true})
+    await t.throws(() => p.timeout(inner, 1).toPromise(), p.TimeoutError)
+    t.is(deinited, true)
+  }()
+
+  await async function timeoutDeinit() {
+    const inner = p.delay(0).mapVal(t.panic)
+    p.timeout(inner, 1).mapVal(t.panic).deinit()
+    t.is(inner.isDone(), true)
+    await p.delay(2).toPromise()
+  }()
+
+  await async function deadlineFail() {
+    await t.throws(() => p.deadline(new p.Task(), new Date()).toPromise(), p.TimeoutError)
+  }()
+
+  void function testSchedulerDelay() {
+    const scheduler = new p.TestScheduler()
+
+    let args
+    scheduler.delay(100, 'val').map((...a) => {args = a})
+    t.is(scheduler.pendingCount(), 1)
+
+    scheduler.advanceBy(99)
+    t.is(args, undefined)
+
+    scheduler.advanceBy(1)
+    t.eq(args, [undefined, 'val'])
+    t.is(scheduler.now(), 100)
+    t.is(scheduler.pendingCount(), 0)
+  }()
+
+  void function testSchedulerTimeout() {
+    const scheduler = new p.TestScheduler()
+    const inner = scheduler.delay(20).mapVal(t.panic)
+
+    let error
+    scheduler.timeout(inner, 10).mapErr(err => {error = err})
+
+    scheduler.advanceTo(10)
+    t.is(error instanceof p.TimeoutError, true)
+    t.is(inner.isDone(), true)
+    t.is(scheduler.pendingCount(), 0)
+  }()
+
+  void function testSchedulerDeadline() {
+    const scheduler = new p.TestScheduler()
+    scheduler.advanceTo(1000)
+
+    let error
+    scheduler.deadline(new p.Task(), 1500).mapErr(err => {error = err})
+
+    scheduler.advanceTo(1499)
+    t.is(error, undefined)
+    scheduler.advanceTo(1500)
+    t.is(error instanceof p.TimeoutError, true)
+  }()
+
+  void function testSchedulerRetry() {
+    const scheduler = new p.TestScheduler()
+    const times = []
+
+    let error
+    p.retry(() => {
+      times.push(scheduler.now())
+      return scheduler.fromErr(Error('fail'))
+    }, {minDelay: 100, scheduler})
+      .mapErr(err => {error = err})
+
+    scheduler.runAll()
+    t.eq(times, [0, 100, 300])
+    t.is(error.message, 'fail')
+  }()
+
+  void function testSchedulerRetryThrows() {
+    const scheduler = new p.TestScheduler()
+    let count = 0
+
+    let error
+    p.retry(() => {
+      count++
+      throw Error('fail')
+    }, {minDelay: 100, scheduler})
+      .mapErr(err => {error = err})
+
+    scheduler.runAll()
+    t.is(count, 3)
+    t.is(error.message, 'fail')
+  }()
+
+  void function retryThrowsFalsy() {
+    const scheduler = new p.TestScheduler()
+
+    let error
+    p.retry(() => {throw undefined}, {attempts: 1, scheduler})
+      .mapErr(err => {error = err})
+
+    scheduler.tick()
+    t.is(error instanceof Error, true)
+    t.is(error.message, 'retry: attempt threw undefined')
+  }()
+
+  void function testSchedulerFiber() {
+    const scheduler = new p.TestScheduler()
+
+    const task = pf.fiberAsync(function* gen(val) {
+      yield scheduler.delay(50)
+      return val
+    }, scheduler)('val')
+
+    let args
+    task.map((...a) => {args = a})
+
+    scheduler.runAll()
+    t.eq(args, [undefined, 'val'])
+    t.is(scheduler.now(), 50)
+  }()
+
+  await async function retryOk() {
+    const retries = []
+
+    const task = p.retry(attempt => (
+      attempt < 2 ? p.async.fromErr(Error(`fail ${attempt}`)) : p.async.fromVal('val')
+    ), {
+      minDelay: 0,
+      onRetry: (err, attempt) => {retries.push([err.message, attempt])},
+    })
+
+    t.is(await task.toPromise(), 'val')
+    t.eq(retries, [['fail 0', 0], ['fail 1', 1]])
+  }()
+
+  await async function retryFail() {
+    let count = 0
+    const task = p.retry(() => {throw Error(`fail ${++count}`)}, {attempts: 2, minDelay: 0})
+    await t.throws(() => task.toPromise(), 'fail 2')
+    t.is(count, 2)
+  }()
+
+  await async function retryShouldRetry() {
+    let count = 0
+    const task = p.retry(() => p.async.fromErr(Error(`fail ${++count}`)), {
+      minDelay: 0,
+      shouldRetry: err => !err.message.includes('1'),
+    })
+    await t.throws(() => task.toPromise(), 'fail 1')
+    t.is(count, 1)
+  }()
+
+  await async function retryDeinit() {
+    let count = 0
+    const task = p.retry(() => {
+      count++
+      return p.async.fromErr(Error('fail'))
+    }, {minDelay: 1})
+
+    p.async.tick()
+    task.deinit()
+    await p.delay(4).toPromise()
+    t.is(count, 1)
+  }()
+
+  await async function streamOperators() {
+    const out = []
+    await pst.fromAsyncIterable([1, 2, 3, 4, 5, 6, 7])
+      .filter(val => val % 2)
+      .map(val => p.async.fromVal(val * 10))
+      .buffer(3)
+      .forEach(val => {out.push(val)})
+      .toPromise()
+    t.eq(out, [[10, 30, 50], [70]])
+  }()
+
+  await async function streamTake() {
+    let returned = false
+    async function* gen() {
+      try {for (let i = 0; ; i++) yield i}
+      finally {returned = true}
+    }
+
+    const out = []
+    await pst.fromAsyncIterable(gen()).take(2).forEach(val => {out.push(val)}).toPromise()
+    t.eq(out, [0, 1])
+    await p.delay(0).toPromise()
+    t.is(returned, true)
+  }()
+
+  await async function streamForAwait() {
+    const stream = pst.fromAsyncIterable(async function* gen() {
+      yield 'one'
+      yield 'two'
+    }())
+
+    const out = []
+    for await (const val of stream) out.push(val)
+    t.eq(out, ['one', 'two'])
+    t.is(stream.isDone(), true)
+  }()
+
+  await async function streamForAwaitBreak() {
+    const stream = pst.fromAsyncIterable([1, 2, 3])
+    for await (const val of stream) if (val === 2) break
+    t.is(stream.isDone(), true)
+  }()
+
+  void function streamForEachDeinit() {
+    let returned
+    const pull = new p.Task()
+    const iter = {next: () => pull, return: reason => {returned = reason}}
+
+    const task = pst.fromAsyncIterable(iter).map(t.panic).forEach(t.panic)
+    task.deinit('reason')
+    t.is(pull.isDone(), true)
+    t.is(returned, 'reason')
+  }()
+
+  await async function streamForEachFail() {
+    let returned = false
+    async function* gen() {
+      try {yield 1}
+      finally {returned = true}
+    }
+
+    const task = pst.fromAsyncIterable(gen()).forEach(() => {throw Error('fail')})
+    await t.throws(() => task.toPromise(), 'fail')
+    await p.delay(0).toPromise()
+    t.is(returned, true)
+  }()
+
+  await async function streamLong() {
+    const vals = Array.from({length: 12000}, (_, ind) => ind)
+
+    let count = 0
+    await pst.fromAsyncIterable(vals).forEach(() => {count++}).toPromise()
+    t.is(count, 12000)
+
+    const out = []
+    for await (const val of pst.fromAsyncIterable(vals).filter(val => val === 11999)) out.push(val)
+    t.eq(out, [11999])
+
+    const bufs = []
+    await pst.fromAsyncIterable(vals).buffer(10000).forEach(val => {bufs.push(val.length)}).toPromise()
+    t.eq(bufs, [10000, 2000])
+  }()
+
+  await async function fromEventsOk() {
+    const emitter = new EventEmitter()
+    const stream = pst.fromEvents(emitter, 'data', {endEvent: 'end', filter: val => val % 2})
+
+    emitter.emit('data', 1)
+    emitter.emit('data', 2)
+    setTimeout(() => {
+      emitter.emit('data', 3)
+      emitter.emit('end')
+    })
+
+    const out = []
+    for await (const val of stream) out.push(val)
+    t.eq(out, [1, 3])
+    t.is(emitter.listenerCount('data'), 0)
+    t.is(emitter.listenerCount('end'), 0)
+  }()
+
+  await async function fromEventsError() {
+    const emitter = new EventEmitter()
+    const stream = pst.fromEvents(emitter, 'data', {errorEvent: 'error'})
+    emitter.emit('data', 1)
+    emitter.emit('error', Error('test error'))
+
+    t.eq(await stream.next().toPromise(), {done: false, value: 1})
+    await t.throws(() => stream.next().toPromise(), 'test error')
+    t.is(emitter.listenerCount('data'), 0)
+  }()
+
+  void function fromEventsDeinit() {
+    const target = new EventTarget()
+    const task = pst.fromEvents(target, 'ping').forEach(t.panic)
+    task.deinit()
+    target.dispatchEvent(new Event('ping'))
+    p.async.tick()
+  }()
+
+  await async function fromEventsLongDeinit() {
+    const emitter = new EventEmitter()
+    let count = 0
+    const task = pst.fromEvents(emitter, 'data').forEach(() => {count++})
+
+    for (let i = 0; i < 20000; i++) emitter.emit('data', i)
+    await p.delay(0).toPromise()
+    t.is(count, 20000)
+
+    task.deinit()
+    t.is(emitter.listenerCount('data'), 0)
+  }()
+
+  await async function streamConcurrentPull() {
+    const stream = pst.fromAsyncIterable({next: () => new p.Task()})
+    stream.next()
+    await t.throws(() => stream.next(), `previous pull is pending`)
+  }()
+
+}).then(() => t.runWithTimeout(async function testSystem() {
+  // Child processes, workers and sockets depend on the OS and take much longer
+  // than the rest, so they run separately, with their own time limit.
+
+  await async function spawnTaskOk() {
+    const res = await pn.spawnTask(process.execPath, ['-e', `process.stdout.write('out'); process.stderr.write('err')`]).toPromise()
+    t.eq(res, {code: 0, signal: null, stdout: 'out', stderr: 'err'})
+  }()
+
+  await async function spawnTaskExit() {
+    const task = pn.spawnTask(process.execPath, ['-e', `console.error('oops'); process.exit(3)`])
+    const err = await task.toPromise().catch(error => error)
+    t.is(err instanceof pn.ExitError, true)
+    t.is(err.code, 3)
+    t.is(err.stderr, 'oops\n')
+    t.eq(err.args[0], '-e')
+  }()
+
+  await async function spawnTaskNotFound() {
+    await t.throws(() => pn.spawnTask('posterus-missing-command').toPromise(), 'ENOENT')
+  }()
+
+  await async function execTaskOk() {
+    const res = await pn.execTask(`echo one && echo two`, {encoding: 'buffer'}).toPromise()
+    t.is(Buffer.isBuffer(res.stdout), true)
+    t.is(String(res.stdout), 'one\ntwo\n')
+  }()
+
+  await async function spawnTaskDeinitEscalates() {
+    // Renaming makes the write atomic, so the file is never read half-written.
+    const file = pa.join(os.tmpdir(), `posterus-test-${process.pid}.pid`)
+    const task = pn.spawnTask(process.execPath, ['-e', `
+      const fs = require('fs')
+      process.on('SIGTERM', () => {})
+      fs.writeFileSync(${JSON.stringify(file + '.tmp')}, String(process.pid))
+      fs.renameSync(${JSON.stringify(file + '.tmp')}, ${JSON.stringify(file)})
+      setInterval(() => {}, 1000)
+    `], {killTimeout: 100})
+    task.mapVal(t.panic)
+
+    let pid
+    try {
+      while (!fs.existsSync(file)) await p.delay(5).toPromise()
+      pid = Number(fs.readFileSync(file, 'utf8'))
+      fs.unlinkSync(file)
+      t.is(pid > 0, true)
+
+      task.deinit()
+      await p.delay(20).toPromise()
+      t.is(isAlive(pid), true)
+
+      for (let i = 0; i < 100 && isAlive(pid); i++) await p.delay(10).toPromise()
+      t.is(isAlive(pid), false)
+    }
+    finally {
+      task.deinit()
+      if (pid > 0 && isAlive(pid)) process.kill(pid, 'SIGKILL')
+    }
+  }()
+
+  await async function workerPool() {
+    const url = new URL('worker_fixture.mjs', import.meta.url)
+    const pool = new pw.WorkerPool(1)
+
+    t.is(await pool.run(url, 'add', [10, 20]).toPromise(), 30)
+    await t.throws(() => pool.run(url, 'fail', ['test error']).toPromise(), 'test error')
+
+    const id0 = await pool.run(url, 'threadId').toPromise()
+    t.is(await pool.run(url, 'threadId').toPromise(), id0)
+
+    const hang = pool.run(url, 'hang')
+    const next = pool.run(url, 'threadId')
+    await p.delay(10).toPromise()
+    hang.deinit()
+    const id1 = await next.toPromise()
+    t.is(id1 === id0, false)
+
+    await t.throws(() => pool.run(url, 'exit', [3]).toPromise(), 'worker exited with code 3')
+    t.is(await pool.run(url, 'add', [1, 2]).toPromise(), 3)
+    pool.deinit()
+  }()
+
+  await async function workerPoolIdleFail() {
+    const url = new URL('worker_fixture.mjs', import.meta.url)
+    const pool = new pw.WorkerPool(1)
+
+    const id0 = await pool.run(url, 'threadId').toPromise()
+    await pool.run(url, 'throwLater', [1]).toPromise()
+    await p.delay(100).toPromise()
+    const id1 = await pool.run(url, 'threadId').toPromise()
+    t.is(id1 === id0, false)
+
+    await pool.run(url, 'exitLater', [1]).toPromise()
+    await p.delay(100).toPromise()
+    const id2 = await pool.run(url, 'threadId').toPromise()
+    t.is(id2 === id1, false)
+    pool.deinit()
+  }()
+
+  await async function runInWorkerOk() {
+    const url = new URL('worker_fixture.mjs', import.meta.url)
+    t.is(await pw.runInWorker(url, 'add', [1, 2]).toPromise(), 3)
+  }()
+
+  await async function httpRequest() {
+    let closed
+    const server = http.createServer((req, res) => {
+      if (req.url === '/json') {
+        res.setHeader('content-type', 'application/json')
+        res.end(JSON.stringify({method: req.method}))
+      }
+      else if (req.url === '/missing') {
+        res.statusCode = 404
+        res.end('not found')
+      }
+      else if (req.url === '/hang') {
+        closed = pi.fromEvent(req.socket, 'close').toPromise()
+      }
+    })
+
+    // `server.closeAllConnections` requires Node 18.2+.
+    const sockets = new Set()
+    server.on('connection', socket => {
+      sockets.add(socket)
+      socket.on('close', () => {sockets.delete(socket)})
+    })
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+    const base = `http://127.0.0.1:${server.address().port}`
+
+    async function check() {
+      const res = await ph.request({url: `${base}/json`, method: 'POST', type: 'json'}).toPromise()
+      t.is(res.status, 200)
+      t.is(res.headers['content-type'], 'application/json')
+      t.eq(res.body, {method: 'POST'})
+
+      const missing = await ph.request({url: `${base}/missing`}).toPromise()
+      t.is(missing.status, 404)
+      t.is(missing.body, 'not found')
+
+      const blob = await ph.request({url: `${base}/missing`, type: 'blob'}).toPromise()
+      t.is(await blob.body.text(), 'not found')
+
+      const err = await ph.request({url: `${base}/missing`, throwHttpErrors: true}).toPromise().catch(error => error)
+      t.is(err instanceof ph.HttpError, true)
+      t.is(err.status, 404)
+      t.is(err.body, 'not found')
+
+      closed = undefined
+      const task = ph.request({url: `${base}/hang`})
+      task.mapVal(t.panic)
+      while (!closed) await p.delay(1).toPromise()
+      task.deinit()
+      await closed
+    }
+
+    const {fetch} = globalThis
+    try {
+      await check()
+
+      // Node without a global `fetch`.
+      delete globalThis.fetch
+      await check()
+    }
+    finally {
+      globalThis.fetch = fetch
+      server.close()
+      for (const socket of sockets) socket.destroy()
+    }
+  }()
+}, 2048)).then(() => {
   console.log('[test] ok')
 })
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0)
+    return true
+  }
+  catch (err) {
+    if (err.code === 'ESRCH') return false
+    throw err
+  }
+}
@@ -63,8 +63,8 @@ function isFunction(value) {
   return typeof value === 'function'
 }
 
-export function runWithTimeout(fun) {
-  const timer = setTimeout(timeoutPanic, 512)
+export function runWithTimeout(fun, ms) {
+  const timer = setTimeout(timeoutPanic, ms || 512)
   return fun().then(clearTimeout.bind(undefined, timer), panic)
 }
 
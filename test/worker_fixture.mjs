@@ -0,0 +1,17 @@
+// Used by `test.mjs` via `worker.mjs`.
+
+import * as wt from 'worker_threads'
+
+export function add(one, two) {return one + two}
+
+export async function fail(msg) {throw Error(msg)}
+
+export function threadId() {return wt.threadId}
+
+export function hang() {return new Promise(() => {setInterval(() => {}, 1000)})}
+
+export function exit(code) {process.exit(code)}
+
+export function throwLater(ms) {setTimeout(() => {throw Error('late error')}, ms)}
+
+export function exitLater(ms) {setTimeout(() => process.exit(0), ms)}
@@ -0,0 +1,189 @@
+// Optional worker-backed executor for Posterus. Uses `worker_threads` in Node
+// and `Worker` in browsers.
+
+import * as p from './posterus.mjs'
+import * as pi from './interop.mjs'
+import * as ps from './sync.mjs'
+
+const ENTRY = new URL('./worker_entry.mjs', import.meta.url)
+
+/*
+Fixed-size pool of workers. Each job imports `url` in a worker and calls its
+export `name` with `args`, which must be structured-cloneable, like the result.
+Runs at most `size` jobs at once, queueing the rest. Deiniting a running job
+terminates its worker; the next job starts a fresh one. Idle workers don't keep
+the Node process alive.
+*/
+export class WorkerPool {
+  constructor(size) {
+    this.p = new ps.Pool(size) // "pool"
+    this.w = []                // "idle workers"
+    this.a = new Set()         // "all workers"
+  }
+
+  run(url, name, args) {
+    url = String(only(url, isUrl))
+    valid(name, isStr)
+    args = arr(args)
+    return this.p.run(workerJob, this, url, name, args)
+  }
+
+  // Deinits queued and running jobs, and terminates every worker.
+  deinit(reason) {
+    this.p.deinit(reason)
+    for (const worker of this.a) worker.terminate()
+    this.a.clear()
+    this.w.length = 0
+  }
+}
+
+/*
+Runs a job on the default pool, sized by the number of CPU cores. Browsers and
+Node 21+ report it via `navigator`; older Node versions need the `os` module,
+which is loaded asynchronously on the first call.
+*/
+export function runInWorker(url, name, args) {
+  url = String(only(url, isUrl))
+  valid(name, isStr)
+  args = arr(args)
+
+  if (defaultPool) return defaultPool.run(url, name, args)
+
+  const {navigator} = globalThis
+  if (navigator && navigator.hardwareConcurrency) {
+    return defaultPoolRun(url, name, args, navigator.hardwareConcurrency)
+  }
+
+  return p.fromPromise(import('os').then(osParallelism, noParallelism))
+    .mapVal(bind(defaultPoolRun, url, name, args))
+}
+
+let defaultPool
+
+function defaultPoolRun(url, name, args, size) {
+  if (!defaultPool) defaultPool = new WorkerPool(size)
+  return defaultPool.run(url, name, args)
+}
+
+// `os.cpus()` may be empty in some environments.
+function osParallelism(os) {
+  if (isFun(os.availableParallelism)) return os.availableParallelism()
+  return os.cpus().length || noParallelism()
+}
+
+function noParallelism() {return 4}
+
+function workerJob(pool, url, name, args) {
+  const val = loadWorkerClass()
+  if (p.isTask(val)) return val.mapVal(bind(workerJobStart, pool, url, name, args))
+  return workerJobStart(pool, url, name, args)
+}
+
+function workerJobStart(pool, url, name, args) {
+  const worker = pool.w.pop() || workerNew(pool)
+
+  try {
+    worker.postMessage({url, name, args})
+  }
+  catch (err) {
+    workerRelease(pool, worker)
+    throw err
+  }
+
+  if (isFun(worker.ref)) worker.ref()
+
+  const task = p.race([
+    pi.fromEvent(worker, 'message', {errorEvent: 'error'}),
+    pi.fromEvent(worker, 'exit').mapVal(workerExitFail),
+  ])
+  task.onDeinit(bind(workerDiscard, pool, worker))
+  return task.map(bind(onWorkerJobDone, pool, worker))
+}
+
+// Worker-level failures, such as crashes, discard the worker. Errors thrown by
+// the job itself don't.
+function onWorkerJobDone(pool, worker, err, msg) {
+  if (err) {
+    workerDiscard(pool, worker)
+    throw toError(err)
+  }
+
+  workerRelease(pool, worker)
+  const data = messageData(msg)
+  if ('err' in data) throw data.err
+  return data.val
+}
+
+function workerNew(pool) {
+  const worker = new WorkerClass(ENTRY, {type: 'module'})
+  const onIdleFail = bind(onWorkerIdleFail, pool, worker)
+  listen(worker, 'error', onIdleFail)
+  listen(worker, 'exit', onIdleFail)
+  pool.a.add(worker)
+  return worker
+}
+
+/*
+An idle worker may still fail or exit, for example from a timer left by the
+previous job. Such workers are removed from the pool. Failures during a job are
+handled by the job instead.
+*/
+function onWorkerIdleFail(pool, worker) {
+  const ind = pool.w.indexOf(worker)
+  if (!(ind >= 0)) return
+  pool.w.splice(ind, 1)
+  workerDiscard(pool, worker)
+}
+
+function workerRelease(pool, worker) {
+  if (isFun(worker.unref)) worker.unref()
+  pool.w.push(worker)
+}
+
+function workerDiscard(pool, worker) {
+  if (pool.a.delete(worker)) worker.terminate()
+}
+
+function workerExitFail(code) {
+  throw Error(`worker exited with code ${code}`)
+}
+
+let WorkerClass = globalThis.Worker
+
+function loadWorkerClass() {
+  if (WorkerClass) return WorkerClass
+  return p.fromPromise(import('worker_threads')).mapVal(setWorkerClass)
+}
+
+function setWorkerClass(mod) {
+  WorkerClass = mod.Worker
+}
+
+function listen(worker, name, fun) {
+  if (isFun(worker.on)) worker.on(name, fun)
+  else worker.addEventListener(name, fun)
+}
+
+// Browser workers report messages and errors as events.
+function messageData(msg) {return isEvent(msg) ? msg.data : msg}
+
+function toError(val) {
+  if (!isEvent(val)) return val
+  return val.error || Error(val.message || `worker error`)
+}
+
+function isStr(val)   {return typeof val === 'string'}
+function isFun(val)   {return typeof val === 'function'}
+function isArr(val)   {return Array.isArray(val)}
+function isUrl(val)   {return isStr(val) || val instanceof URL}
+function isEvent(val) {return typeof Event === 'function' && val instanceof Event}
+function isNil(val)   {return val == null}
+
+function arr(val)        {return isNil(val) ? [] : only(val, isArr)}
+function only(val, test) {valid(val, test); return val}
+
+function valid(val, test) {
+  if (!test(val)) throw Error(`expected ${val} to satisfy test ${test.name}`)
+}
+
+function bind(fun, ...args) {return fun.bind(undefined, ...args)}
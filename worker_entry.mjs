@@ -0,0 +1,37 @@
+// Entry point of workers started by `worker.mjs`. Not meant to be imported.
+
+/* eslint-disable no-restricted-globals */
+/* global WorkerGlobalScope */
+
+if (typeof WorkerGlobalScope === 'function' && self instanceof WorkerGlobalScope) {
+  self.addEventListener('message', onMessageEvent)
+}
+else {
+  import('worker_threads').then(listenParentPort)
+}
+
+function listenParentPort({parentPort}) {
+  parentPort.on('message', bind(onMessage, parentPort))
+}
+
+function onMessageEvent(event) {onMessage(self, event.data)}
+
+async function onMessage(port, {url, name, args}) {
+  let msg
+  try {
+    const mod = await import(url)
+    msg = {val: await mod[name](...args)}
+  }
+  catch (err) {
+    msg = {err}
+  }
+
+  try {
+    port.postMessage(msg)
+  }
+  catch (err) {
+    port.postMessage({err})
+  }
+}
+
+function bind(fun, ...args) {return fun.bind(undefined, ...args)}